@@ -3,7 +3,7 @@
  * Lightweight, fast, and beautiful datepicker for modern web applications
  * Perfect for travel booking, event planning, and date selection
  *
- * Usage: InfiDate.init({config}) or InfiDate.create(target, config)
+ * Usage: InfiDate.init() for [data-infidate] elements or InfiDate.create(target, config)
  *
  * Features:
  * - Infinite scroll calendar
@@ -21,22 +21,234 @@
 (function(window) {
   'use strict';
 
+  // Built-in locale packs (more can be added with InfiDate.registerLocale)
+  const InfiDateLocales = {
+    en: {
+      intl: 'en-US',
+      dir: 'ltr',
+      monthNames: ['January', 'February', 'March', 'April', 'May', 'June',
+                   'July', 'August', 'September', 'October', 'November', 'December'],
+      monthNamesShort: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                        'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+      dayNames: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+      dayNamesShort: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+      firstDayOfWeek: 0, // 0 = Sunday, 1 = Monday, ...
+      displayFormat: 'MMM D, YYYY',
+      numericFormat: 'M/D/YYYY', // Day, month and year order for typed dates like 12/24/2025
+      ariaDateFormat: 'dddd, MMMM D, YYYY',
+      rangeSeparator: ' to ',
+      multipleSeparator: ', ',
+      timeFormat: 'hh:mm A', // Appended to displayFormat when enableTime is on
+      meridiem: ['AM', 'PM'],
+      labels: {
+        single: 'Single',
+        range: 'Range',
+        multiple: 'Multiple',
+        modeSwitch: 'Selection mode',
+        calendar: 'Choose date',
+        // Live region announcements, {date} is replaced with the full date
+        selected: '{date} selected',
+        deselected: '{date} deselected',
+        rangeStart: 'Start date {date} selected',
+        rangeEnd: 'End date {date} selected',
+        time: 'Time',
+        startTime: 'Start time',
+        endTime: 'End time',
+        hour: 'Hour',
+        minute: 'Minute',
+        // Range preview tooltip, {count} is replaced with the number of nights
+        night: '{count} night',
+        nights: '{count} nights',
+        // Inline messages for rejected ranges, {count} is replaced with the limit in days
+        minRangeDays: 'Select at least {count} days',
+        maxRangeDays: 'Select at most {count} days',
+        disabledInRange: 'The selection cannot include unavailable dates',
+        disableStart: 'This date is not available as a start date',
+        disableEnd: 'This date is not available as an end date',
+        // Form validation messages
+        required: 'Please select a date',
+        requiredRange: 'Please select a start and end date',
+        invalidDate: 'Please enter a valid date',
+        // Month and year navigation bar
+        navigation: 'Go to month',
+        month: 'Month',
+        year: 'Year',
+        // Built-in range presets
+        presets: 'Quick ranges',
+        today: 'Today',
+        yesterday: 'Yesterday',
+        thisWeekend: 'This weekend',
+        next7Days: 'Next 7 days',
+        last7Days: 'Last 7 days',
+        next30Days: 'Next 30 days',
+        last30Days: 'Last 30 days',
+        thisMonth: 'This month',
+        lastMonth: 'Last month',
+        nextMonth: 'Next month'
+      }
+    }
+  };
+
+  // Translated strings merged over the Intl-derived pack of a language and its regional variants
+  // (Intl supplies month and day names and formats, but no UI text)
+  const InfiDateTranslations = {
+    de: {
+      rangeSeparator: ' bis ',
+      labels: {
+        single: 'Einzeln',
+        range: 'Zeitraum',
+        multiple: 'Mehrere',
+        modeSwitch: 'Auswahlmodus',
+        calendar: 'Datum wählen',
+        selected: '{date} ausgewählt',
+        deselected: '{date} abgewählt',
+        rangeStart: 'Startdatum {date} ausgewählt',
+        rangeEnd: 'Enddatum {date} ausgewählt',
+        time: 'Uhrzeit',
+        startTime: 'Startzeit',
+        endTime: 'Endzeit',
+        hour: 'Stunde',
+        minute: 'Minute',
+        night: '{count} Nacht',
+        nights: '{count} Nächte',
+        minRangeDays: 'Wählen Sie mindestens {count} Tage',
+        maxRangeDays: 'Wählen Sie höchstens {count} Tage',
+        disabledInRange: 'Die Auswahl darf keine nicht verfügbaren Tage enthalten',
+        disableStart: 'Dieses Datum ist als Startdatum nicht verfügbar',
+        disableEnd: 'Dieses Datum ist als Enddatum nicht verfügbar',
+        required: 'Bitte wählen Sie ein Datum',
+        requiredRange: 'Bitte wählen Sie ein Start- und Enddatum',
+        invalidDate: 'Bitte geben Sie ein gültiges Datum ein',
+        navigation: 'Zu Monat wechseln',
+        month: 'Monat',
+        year: 'Jahr',
+        presets: 'Schnellauswahl',
+        today: 'Heute',
+        yesterday: 'Gestern',
+        thisWeekend: 'Dieses Wochenende',
+        next7Days: 'Nächste 7 Tage',
+        last7Days: 'Letzte 7 Tage',
+        next30Days: 'Nächste 30 Tage',
+        last30Days: 'Letzte 30 Tage',
+        thisMonth: 'Dieser Monat',
+        lastMonth: 'Letzter Monat',
+        nextMonth: 'Nächster Monat'
+      }
+    },
+    ja: {
+      rangeSeparator: ' 〜 ',
+      multipleSeparator: '、',
+      labels: {
+        single: '単一',
+        range: '期間',
+        multiple: '複数',
+        modeSwitch: '選択モード',
+        calendar: '日付を選択',
+        selected: '{date}を選択しました',
+        deselected: '{date}の選択を解除しました',
+        rangeStart: '開始日{date}を選択しました',
+        rangeEnd: '終了日{date}を選択しました',
+        time: '時刻',
+        startTime: '開始時刻',
+        endTime: '終了時刻',
+        hour: '時',
+        minute: '分',
+        night: '{count}泊',
+        nights: '{count}泊',
+        minRangeDays: '{count}日以上選択してください',
+        maxRangeDays: '{count}日以内で選択してください',
+        disabledInRange: '選択範囲に利用できない日を含めることはできません',
+        disableStart: 'この日付は開始日として選択できません',
+        disableEnd: 'この日付は終了日として選択できません',
+        required: '日付を選択してください',
+        requiredRange: '開始日と終了日を選択してください',
+        invalidDate: '有効な日付を入力してください',
+        navigation: '月へ移動',
+        month: '月',
+        year: '年',
+        presets: 'クイック選択',
+        today: '今日',
+        yesterday: '昨日',
+        thisWeekend: '今週末',
+        next7Days: '今後7日間',
+        last7Days: '過去7日間',
+        next30Days: '今後30日間',
+        last30Days: '過去30日間',
+        thisMonth: '今月',
+        lastMonth: '先月',
+        nextMonth: '来月'
+      }
+    },
+    ar: {
+      rangeSeparator: ' إلى ',
+      multipleSeparator: '، ',
+      labels: {
+        single: 'تاريخ واحد',
+        range: 'فترة',
+        multiple: 'متعدد',
+        modeSwitch: 'وضع التحديد',
+        calendar: 'اختر التاريخ',
+        selected: 'تم تحديد {date}',
+        deselected: 'تم إلغاء تحديد {date}',
+        rangeStart: 'تم تحديد تاريخ البدء {date}',
+        rangeEnd: 'تم تحديد تاريخ الانتهاء {date}',
+        time: 'الوقت',
+        startTime: 'وقت البدء',
+        endTime: 'وقت الانتهاء',
+        hour: 'الساعة',
+        minute: 'الدقيقة',
+        night: '{count} ليلة',
+        nights: '{count} ليالٍ',
+        minRangeDays: 'اختر {count} أيام على الأقل',
+        maxRangeDays: 'اختر {count} أيام على الأكثر',
+        disabledInRange: 'لا يمكن أن يتضمن التحديد تواريخ غير متاحة',
+        disableStart: 'هذا التاريخ غير متاح كتاريخ بدء',
+        disableEnd: 'هذا التاريخ غير متاح كتاريخ انتهاء',
+        required: 'يرجى اختيار تاريخ',
+        requiredRange: 'يرجى اختيار تاريخ البدء وتاريخ الانتهاء',
+        invalidDate: 'يرجى إدخال تاريخ صالح',
+        navigation: 'الانتقال إلى شهر',
+        month: 'الشهر',
+        year: 'السنة',
+        presets: 'فترات سريعة',
+        today: 'اليوم',
+        yesterday: 'أمس',
+        thisWeekend: 'عطلة نهاية هذا الأسبوع',
+        next7Days: 'الأيام السبعة القادمة',
+        last7Days: 'الأيام السبعة الماضية',
+        next30Days: 'الأيام الثلاثون القادمة',
+        last30Days: 'الأيام الثلاثون الماضية',
+        thisMonth: 'هذا الشهر',
+        lastMonth: 'الشهر الماضي',
+        nextMonth: 'الشهر القادم'
+      }
+    }
+  };
+
+  // Locale packs derived from Intl.DateTimeFormat, cached by language tag
+  const intlLocaleCache = {};
+
+  // Live pickers in creation order, for InfiDate.getInstance, instances and destroyAll
+  const pickerRegistry = new Set();
+
+  // Placeholder months kept beyond the rendered ones on each side; further ones are removed with
+  // virtualize and loaded again when scrolled back to
+  const placeholderMonthLimit = 12;
+
   // Private utility functions
   const InfiDateUtils = {
-    // Static arrays for better performance
-    MONTH_NAMES: ['January', 'February', 'March', 'April', 'May', 'June',
-                  'July', 'August', 'September', 'October', 'November', 'December'],
-    MONTH_NAMES_SHORT: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-                        'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
-    DAY_NAMES: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
-    DAY_NAMES_SHORT: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    // Static arrays for better performance (English names, kept for backwards compatibility)
+    MONTH_NAMES: InfiDateLocales.en.monthNames,
+    MONTH_NAMES_SHORT: InfiDateLocales.en.monthNamesShort,
+    DAY_NAMES: InfiDateLocales.en.dayNames,
+    DAY_NAMES_SHORT: InfiDateLocales.en.dayNamesShort,
     iso: function(d) {
       // Optimized ISO date string generation in local timezone
       return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
     },
     
-    fdate: function(d) {
-      return d.toLocaleDateString('en-US', {
+    fdate: function(d, locale) {
+      return d.toLocaleDateString(InfiDateUtils.getLocale(locale).intl, {
         weekday: 'short',
         year: 'numeric',
         month: 'short',
@@ -45,50 +257,194 @@
     },
 
     // Comprehensive date formatting function
-    formatDate: function(date, format) {
-      if (!date || !format) return this.fdate(date);
+    // Text wrapped in square brackets is output as-is, e.g. 'D [de] MMMM'. Time tokens (HH, hh, mm, A)
+    // are only replaced when withTime is true, so existing formats with a literal 'A' keep working
+    formatDate: function(date, format, locale, withTime) {
+      if (!date || !format) return InfiDateUtils.fdate(date, locale);
 
+      const pack = InfiDateUtils.getLocale(locale);
       const year = date.getFullYear();
       const month = date.getMonth();
       const day = date.getDate();
       const dayOfWeek = date.getDay();
+      const hours = date.getHours();
 
       const formatMap = {
         'YYYY': year,
         'YY': String(year).slice(-2),
-        'MMMM': this.MONTH_NAMES[month],
-        'MMM': this.MONTH_NAMES_SHORT[month],
+        'MMMM': pack.monthNames[month],
+        'MMM': pack.monthNamesShort[month],
         'MM': String(month + 1).padStart(2, '0'),
         'M': month + 1,
         'DD': String(day).padStart(2, '0'),
         'D': day,
-        'dddd': this.DAY_NAMES[dayOfWeek],
-        'ddd': this.DAY_NAMES_SHORT[dayOfWeek],
-        'dd': this.DAY_NAMES_SHORT[dayOfWeek].slice(0, 2)
+        'dddd': pack.dayNames[dayOfWeek],
+        'ddd': pack.dayNamesShort[dayOfWeek],
+        'dd': pack.dayNamesShort[dayOfWeek].slice(0, 2),
+        'HH': String(hours).padStart(2, '0'),
+        'hh': String(hours % 12 || 12).padStart(2, '0'),
+        'mm': String(date.getMinutes()).padStart(2, '0'),
+        'A': pack.meridiem[hours < 12 ? 0 : 1]
+      };
+
+      const tokens = withTime
+        ? /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|dd|HH|hh|mm|A/g
+        : /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|dd/g;
+      return format.replace(tokens, (match, literal) => literal !== undefined ? literal : formatMap[match]);
+    },
+
+    // Resolve a locale name or partial pack to a complete locale pack
+    getLocale: function(locale) {
+      if (!locale) return InfiDateLocales.en;
+
+      if (typeof locale === 'object') {
+        return InfiDateUtils.mergeLocale(InfiDateLocales.en, locale);
+      }
+
+      if (InfiDateLocales[locale]) return InfiDateLocales[locale];
+
+      // Fall back to the base language of a region tag (e.g. 'de-AT' -> 'de')
+      const language = String(locale).split('-')[0];
+      if (InfiDateLocales[language]) return InfiDateLocales[language];
+
+      return InfiDateUtils.localeFromIntl(locale);
+    },
+
+    // Merge a partial locale pack over a base pack
+    mergeLocale: function(base, pack) {
+      return {
+        ...base,
+        ...pack,
+        labels: { ...base.labels, ...(pack.labels || {}) }
       };
+    },
+
+    // Derive a locale pack from Intl.DateTimeFormat for the given language tag
+    localeFromIntl: function(tag) {
+      if (intlLocaleCache[tag]) return intlLocaleCache[tag];
+      if (typeof Intl === 'undefined' || !Intl.DateTimeFormat) return InfiDateLocales.en;
+
+      let pack;
+      try {
+        const monthLong = new Intl.DateTimeFormat(tag, { month: 'long' });
+        const monthShort = new Intl.DateTimeFormat(tag, { month: 'short', day: 'numeric' });
+        const dayLong = new Intl.DateTimeFormat(tag, { weekday: 'long' });
+        const dayShort = new Intl.DateTimeFormat(tag, { weekday: 'short' });
+        const partValue = (formatter, date, type) => {
+          const part = formatter.formatToParts(date).find(p => p.type === type);
+          return part ? part.value : formatter.format(date);
+        };
+
+        const monthNames = [];
+        const monthNamesShort = [];
+        for (let m = 0; m < 12; m++) {
+          const date = new Date(2021, m, 1);
+          monthNames.push(monthLong.format(date));
+          monthNamesShort.push(partValue(monthShort, date, 'month'));
+        }
+
+        // January 3rd 2021 was a Sunday
+        const dayNames = [];
+        const dayNamesShort = [];
+        for (let d = 0; d < 7; d++) {
+          const date = new Date(2021, 0, 3 + d);
+          dayNames.push(dayLong.format(date));
+          dayNamesShort.push(dayShort.format(date));
+        }
+
+        // Build formats with the same field order and separators as the locale
+        const toFormat = (options, monthToken) => new Intl.DateTimeFormat(tag, options)
+          .formatToParts(new Date(2021, 0, 3))
+          .map(part => {
+            if (part.type === 'year') return 'YYYY';
+            if (part.type === 'month') return /^\d+$/.test(part.value) ? 'M' : monthToken;
+            if (part.type === 'day') return 'D';
+            if (part.type === 'weekday') return 'dddd';
+            return `[${part.value}]`;
+          })
+          .join('');
+        const displayFormat = toFormat({ year: 'numeric', month: 'short', day: 'numeric' }, 'MMM');
+        const numericFormat = toFormat({ year: 'numeric', month: 'numeric', day: 'numeric' }, 'M');
+
+        // Time format and AM/PM names, e.g. 'HH:mm' for 24-hour locales
+        const timeFormatter = new Intl.DateTimeFormat(tag, { hour: 'numeric', minute: '2-digit' });
+        const hourCycle = timeFormatter.resolvedOptions().hourCycle;
+        const twelveHour = hourCycle === 'h11' || hourCycle === 'h12';
+        const timeFormat = timeFormatter.formatToParts(new Date(2021, 0, 3, 21, 0))
+          .map(part => {
+            if (part.type === 'hour') return twelveHour ? 'hh' : 'HH';
+            if (part.type === 'minute') return 'mm';
+            if (part.type === 'dayPeriod') return 'A';
+            return `[${part.value}]`;
+          })
+          .join('');
+        const meridiemFormatter = new Intl.DateTimeFormat(tag, { hour: 'numeric', hour12: true });
+        const meridiem = [9, 21].map(hour => partValue(meridiemFormatter, new Date(2021, 0, 3, hour), 'dayPeriod'));
+        const ariaDateFormat = toFormat({ weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }, 'MMMM');
+
+        const intlLocale = typeof Intl.Locale === 'function' ? new Intl.Locale(tag) : null;
+        const weekInfo = intlLocale && (intlLocale.weekInfo || (intlLocale.getWeekInfo && intlLocale.getWeekInfo()));
+        const textInfo = intlLocale && (intlLocale.textInfo || (intlLocale.getTextInfo && intlLocale.getTextInfo()));
+
+        pack = InfiDateUtils.mergeLocale(InfiDateLocales.en, {
+          intl: tag,
+          dir: textInfo ? textInfo.direction : (/^(ar|he|fa|ur)\b/.test(tag) ? 'rtl' : 'ltr'),
+          monthNames,
+          monthNamesShort,
+          dayNames,
+          dayNamesShort,
+          // Intl uses 1 (Monday) to 7 (Sunday)
+          firstDayOfWeek: weekInfo ? weekInfo.firstDay % 7 : 0,
+          displayFormat,
+          numericFormat,
+          ariaDateFormat,
+          timeFormat,
+          meridiem,
+          // Language-neutral separator, since Intl offers no translation for "to"
+          rangeSeparator: ' – '
+        });
+        const translation = InfiDateTranslations[String(tag).split('-')[0].toLowerCase()];
+        if (translation) pack = InfiDateUtils.mergeLocale(pack, translation);
+      } catch (e) {
+        // Unknown language tag
+        pack = InfiDateLocales.en;
+      }
 
-      return format.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|dd/g, match => formatMap[match]);
+      intlLocaleCache[tag] = pack;
+      return pack;
     },
 
     // Parse date string or return Date object
-    parseDate: function(input) {
+    // Parse a Date, 'today', an ISO string, or a string written in format (formatDate tokens, or a list
+    // of formats tried in order); time tokens are only read when withTime is true, as in formatDate
+    parseDate: function(input, format, locale, withTime) {
       if (!input) return null;
       if (input instanceof Date) return input;
       if (input === 'today') return new Date();
 
       // Handle ISO date strings (YYYY-MM-DD)
       if (typeof input === 'string') {
-        // Check if it's an ISO date string (YYYY-MM-DD)
-        const isoMatch = input.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const formats = Array.isArray(format) ? format : (format ? [format] : []);
+        for (let i = 0; i < formats.length; i++) {
+          const formatted = InfiDateUtils.parseFormatted(input, formats[i], locale, withTime);
+          if (formatted) return formatted;
+        }
+
+        // Check if it's an ISO date or datetime string without timezone (YYYY-MM-DD[THH:mm[:ss]])
+        const isoMatch = input.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
         if (isoMatch) {
           // Parse as local date to avoid timezone issues
           const year = parseInt(isoMatch[1], 10);
           const month = parseInt(isoMatch[2], 10) - 1; // Month is 0-indexed
           const day = parseInt(isoMatch[3], 10);
-          return new Date(year, month, day);
+          const hours = isoMatch[4] ? parseInt(isoMatch[4], 10) : 0;
+          const minutes = isoMatch[5] ? parseInt(isoMatch[5], 10) : 0;
+          const seconds = isoMatch[6] ? parseInt(isoMatch[6], 10) : 0;
+          return new Date(year, month, day, hours, minutes, seconds);
         }
 
         // Fallback to standard Date parsing
+        if (format) return null; // Date() guesses too freely for typed input
         const date = new Date(input);
         return isNaN(date.getTime()) ? null : date;
       }
@@ -96,6 +452,97 @@
       return null;
     },
 
+    // Parse text written in a formatDate pattern. Separators are lenient and every part is optional:
+    // a missing year means the current year and a missing time means midnight, but day and month are required
+    parseFormatted: function(input, format, locale, withTime) {
+      const pack = InfiDateUtils.getLocale(locale);
+      const alternatives = (names) => names.slice()
+        .sort((a, b) => b.length - a.length)
+        .map(name => InfiDateUtils.escapeRegExp(name))
+        .join('|');
+      const monthNames = alternatives(pack.monthNames.concat(pack.monthNamesShort));
+
+      const tokenPatterns = {
+        YYYY: ['year', '(\\d{4})'],
+        YY: ['shortYear', '(\\d{2})'],
+        MMMM: ['monthName', `(${monthNames})\\.?`],
+        MMM: ['monthName', `(${monthNames})\\.?`],
+        MM: ['month', '(\\d{1,2})'],
+        M: ['month', '(\\d{1,2})'],
+        DD: ['day', '(\\d{1,2})'],
+        D: ['day', '(\\d{1,2})']
+      };
+      if (withTime) {
+        Object.assign(tokenPatterns, {
+          HH: ['hours', '(\\d{1,2})'],
+          hh: ['hours', '(\\d{1,2})'],
+          mm: ['minutes', '(\\d{2})'],
+          A: ['meridiem', `(${alternatives(pack.meridiem)})`]
+        });
+      }
+
+      const fields = [];
+      let pattern = '';
+      format.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|dd|HH|hh|mm|A|[\s\S]/g, (match, literal) => {
+        if (literal !== undefined) {
+          pattern += `(?:${InfiDateUtils.escapeRegExp(literal)})?`;
+        } else if (tokenPatterns[match]) {
+          fields.push(tokenPatterns[match][0]);
+          pattern += `(?:${tokenPatterns[match][1]})?`;
+        } else if (/^d+$/.test(match)) {
+          pattern += '(?:[^\\s\\d,.]+\\.?)?'; // Weekday names are accepted and ignored
+        } else if (/\w/.test(match)) {
+          pattern += `(?:${InfiDateUtils.escapeRegExp(match)})?`;
+        } else {
+          pattern += '\\W*'; // Any separators, or none
+        }
+        return match;
+      });
+
+      const match = String(input).trim().match(new RegExp(`^${pattern}$`, 'i'));
+      if (!match) return null;
+
+      const parts = {};
+      fields.forEach((field, index) => {
+        if (match[index + 1] !== undefined) parts[field] = match[index + 1];
+      });
+
+      let month = parts.month !== undefined ? parseInt(parts.month, 10) - 1 : -1;
+      if (parts.monthName !== undefined) {
+        const name = parts.monthName.toLowerCase();
+        month = pack.monthNames.findIndex(candidate => candidate.toLowerCase() === name);
+        if (month === -1) month = pack.monthNamesShort.findIndex(candidate => candidate.toLowerCase() === name);
+      }
+      if (month < 0 || month > 11 || parts.day === undefined) return null;
+
+      let year = new Date().getFullYear();
+      if (parts.year !== undefined) year = parseInt(parts.year, 10);
+      else if (parts.shortYear !== undefined) year = 2000 + parseInt(parts.shortYear, 10);
+
+      const day = parseInt(parts.day, 10);
+      let hours = parts.hours !== undefined ? parseInt(parts.hours, 10) : 0;
+      const minutes = parts.minutes !== undefined ? parseInt(parts.minutes, 10) : 0;
+      if (parts.meridiem !== undefined) {
+        const pm = parts.meridiem.toLowerCase() === String(pack.meridiem[1]).toLowerCase();
+        hours = (hours % 12) + (pm ? 12 : 0);
+      }
+      if (hours > 23 || minutes > 59) return null;
+
+      // Reject overflowing dates such as February 30
+      const date = new Date(year, month, day, hours, minutes);
+      return date.getMonth() === month && date.getDate() === day ? date : null;
+    },
+
+    // Parse 'HH:mm' into { hours, minutes }
+    parseTime: function(input) {
+      const match = typeof input === 'string' ? input.match(/^(\d{1,2}):(\d{2})$/) : null;
+      if (!match) return null;
+
+      const hours = parseInt(match[1], 10);
+      const minutes = parseInt(match[2], 10);
+      return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+    },
+
     // Check if date is disabled
     isDateDisabled: function(date, disableArray) {
       if (!disableArray || !Array.isArray(disableArray)) return false;
@@ -183,6 +630,19 @@
       return result;
     },
 
+    // Add months to date, clamping the day to the length of the target month
+    addMonths: function(date, months) {
+      const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+      const daysInMonth = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+      result.setDate(Math.min(date.getDate(), daysInMonth));
+      return result;
+    },
+
+    // Copy of a date at midnight
+    startOfDay: function(date) {
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+
     // Get difference in days between two dates
     daysDiff: function(date1, date2) {
       const oneDay = 24 * 60 * 60 * 1000;
@@ -215,6 +675,61 @@
       return 'infidate-' + Math.random().toString(36).substr(2, 9);
     },
 
+    // Escape text for use in a regular expression
+    escapeRegExp: function(value) {
+      return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    },
+
+    // Escape text for use in HTML markup and attributes
+    escapeHTML: function(value) {
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    },
+
+    // Read picker options from data-infidate-* attributes, e.g. data-infidate-min-date="today" -> { minDate: 'today' }.
+    // Only options named in allowedKeys are read, and only those in jsonKeys are parsed
+    readDataOptions: function(element, allowedKeys, jsonKeys = allowedKeys) {
+      const options = {};
+
+      Object.keys(element.dataset).forEach(key => {
+        if (!/^infidate[A-Z]/.test(key)) return;
+
+        const option = key.charAt(8).toLowerCase() + key.slice(9);
+        if (!allowedKeys.includes(option)) return;
+
+        const value = jsonKeys.includes(option)
+          ? InfiDateUtils.parseDataValue(element.dataset[key])
+          : element.dataset[key];
+        if (value !== undefined) {
+          options[option] = value;
+        }
+      });
+
+      return options;
+    },
+
+    // Numbers, booleans, null and JSON lists/objects are parsed; other text is kept as is.
+    // An empty attribute means true
+    parseDataValue: function(value) {
+      const text = value.trim();
+      if (text === '') return true;
+      if (text === 'Infinity') return Infinity;
+
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        if (/^[[{]/.test(text)) {
+          console.warn(`Invalid JSON in data-infidate attribute: ${text}`);
+          return undefined;
+        }
+        return value;
+      }
+    },
+
     // Debounce function
     debounce: function(func, wait) {
       let timeout;
@@ -229,53 +744,132 @@
     },
 
     // Throttle function
+    // A call made while throttled runs once the wait is over, so the last event of a burst is not dropped
     throttle: function(func, limit) {
       let inThrottle;
-      return function() {
+      let pendingArgs = null;
+      return function throttled() {
         const args = arguments;
         const context = this;
-        if (!inThrottle) {
-          func.apply(context, args);
-          inThrottle = true;
-          setTimeout(() => inThrottle = false, limit);
+        if (inThrottle) {
+          pendingArgs = args;
+          return;
         }
+
+        func.apply(context, args);
+        inThrottle = true;
+        setTimeout(() => {
+          inThrottle = false;
+          if (pendingArgs) {
+            const trailingArgs = pendingArgs;
+            pendingArgs = null;
+            throttled.apply(context, trailingArgs);
+          }
+        }, limit);
       };
     }
   };
 
+  // Built-in range presets, each returning [start, end] for a given today
+  const InfiDatePresets = {
+    today: (today) => [today, today],
+    yesterday: (today) => {
+      const yesterday = InfiDateUtils.addDays(today, -1);
+      return [yesterday, yesterday];
+    },
+    thisWeekend: (today) => {
+      // Saturday and Sunday of this week; on a Sunday that is yesterday and today
+      const day = today.getDay();
+      const saturday = InfiDateUtils.addDays(today, day === 0 ? -1 : 6 - day);
+      return [saturday, InfiDateUtils.addDays(saturday, 1)];
+    },
+    next7Days: (today) => [today, InfiDateUtils.addDays(today, 6)],
+    last7Days: (today) => [InfiDateUtils.addDays(today, -6), today],
+    next30Days: (today) => [today, InfiDateUtils.addDays(today, 29)],
+    last30Days: (today) => [InfiDateUtils.addDays(today, -29), today],
+    thisMonth: (today) => [InfiDateUtils.getFirstDayOfMonth(today), InfiDateUtils.getLastDayOfMonth(today)],
+    lastMonth: (today) => {
+      const month = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+      return [month, InfiDateUtils.getLastDayOfMonth(month)];
+    },
+    nextMonth: (today) => {
+      const month = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+      return [month, InfiDateUtils.getLastDayOfMonth(month)];
+    }
+  };
+
+  // Events for picker.on(); each also has an on<Event> config callback
+  const InfiDateEvents = ['change', 'open', 'close', 'monthChange', 'yearChange', 'dayCreate', 'invalid'];
+
   // Main InfiDatePicker class
   class InfiDatePicker {
     constructor(config = {}) {
       // Default configuration
       this.config = {
-        mode: 'single', // 'single' or 'range'
+        mode: 'single', // 'single', 'range' or 'multiple'
         displayMode: 'dropdown', // 'inline', 'dropdown', 'modal'
         attachTo: null,
         minDate: null,
         maxDate: null,
         minYear: null, // Minimum year to display
         maxYear: null, // Maximum year to display
+        showNavigation: false, // Month/year selects and a Today button above the months
+        allowInput: false, // Parse dates typed into the attached input on Enter or blur
+        name: null, // Hidden input with the ISO value ('start/end' in range mode, comma-separated in multiple mode)
+        startName: null, // Range mode: hidden input with the ISO start date
+        endName: null, // Range mode: hidden input with the ISO end date
+        required: false, // Block form submission until a selection is complete (also follows the input's required attribute)
+        disableWhenReadonly: null, // Whether a readonly input disables the picker; null = only with allowInput
         theme: 'auto', // 'light', 'dark', 'auto'
         disable: [],
         enable: null, // Whitelist mode - if set, only these dates are enabled
+        disableStart: [], // Range mode: dates that cannot start a range, same shapes as disable
+        disableEnd: [], // Range mode: dates that cannot end a range
         position: 'bottom', // 'top', 'bottom', 'auto'
-        closeOnSelect: true,
+        closeOnSelect: true, // Ignored when enableTime is on, so the time can be picked
         showBackdrop: true,
+        enableTime: false, // Show hour/minute controls below the months
+        time24hr: null, // true for 24-hour, false for AM/PM, null to follow the locale
+        timeStep: 5, // Minutes between minute options
+        defaultTime: '12:00', // Initial time (start time in range mode)
+        defaultEndTime: null, // Initial end time in range mode (defaults to defaultTime)
+        minTime: null, // 'HH:mm' or (date) => 'HH:mm', earliest selectable time
+        maxTime: null, // 'HH:mm' or (date) => 'HH:mm', latest selectable time
         title: null,
         subtitle: null,
-        minRangeDays: 1,
-        maxRangeDays: 365,
-        allowModeSwitch: true,
+        minRangeDays: 1, // Days, as a number, (startDate) => days or rules like { from, to, minDays }
+        maxRangeDays: 365, // Days, as a number, (startDate) => days or rules like { from, to, maxDays }
+        minNights: null, // Nights, as a number, (startDate) => nights or rules like { from, to, minNights }
+        maxNights: null, // Nights, as a number, (startDate) => nights or rules like { from, to, maxNights }
+        invalidRangeBehavior: 'reset', // 'reset', 'keep-start' or 'clamp' when a range breaks a rule
+        allowDisabledInRange: true, // false rejects ranges spanning disabled dates
+        allowDisabledCheckout: false, // Let the first disabled date after the start end a range
+        maxSelections: null, // Limit for 'multiple' mode (null = unlimited)
+        multipleSeparator: null, // Joins dates in 'multiple' mode (defaults to the locale's)
+        allowModeSwitch: true, // true for single/range, or an array of modes to offer
         defaultToToday: true,
-        maxMonths: 72,
+        maxMonths: Infinity, // Upper bound on loaded months; with virtualize, far placeholder months are removed anyway
         initialMonths: 12,
+        initialDate: null, // Month shown first (defaults to the current month)
         scrollThreshold: 150,
+        virtualize: true, // Only keep months near the viewport rendered
+        monthBuffer: 2, // Months rendered above and below the visible ones
+        locale: 'en', // Locale name, Intl language tag or locale pack object
+        displayFormat: null, // Format tokens understood by InfiDateUtils.formatDate (defaults to the locale's)
+        rangeSeparator: null, // Joins start and end in range mode (defaults to the locale's)
+        presets: null, // Range mode shortcuts: built-in keys or { label, range: () => [start, end] }
+        presetsPosition: 'top', // 'top' for a chip row, 'side' for a sidebar
+        dayData: null, // (monthStart, monthEnd, { signal }) => Promise of { [iso]: { price, label, disabled, className } }
         onChange: null,
         onOpen: null,
         onClose: null,
         onMonthChange: null,
         onYearChange: null,
         onDayCreate: null,
+        onInvalid: null,
+        onBeforeSelect: null, // (date, 'date' | 'start' | 'end' | 'preset', presetEnd) => false or Promise<false> to cancel a pick
+        onBeforeOpen: null, // () => false or Promise<false> to keep the picker closed
+        onBeforeClose: null, // () => false or Promise<false> to keep the picker open
         ...config
       };
 
@@ -284,12 +878,41 @@
       this.selectedDate = null;
       this.selectedStartDate = null;
       this.selectedEndDate = null;
+      this.selectedDates = []; // Sorted selection for 'multiple' mode
+      this.times = {
+        start: InfiDateUtils.parseTime(this.config.defaultTime) || { hours: 12, minutes: 0 },
+        end: InfiDateUtils.parseTime(this.config.defaultEndTime || this.config.defaultTime) || { hours: 12, minutes: 0 }
+      };
+      this.focusedDate = null; // Day cell owning the roving tabindex
+      this.previewDate = null; // Hovered/focused end candidate while a range is half-selected
+      this.previewShown = false;
+      this.pendingDate = null; // Day waiting for an asynchronous onBeforeSelect check
+      this.pendingToggle = null; // Unfinished asynchronous onBeforeOpen/onBeforeClose check
+      this.presetRanges = new Map(); // Computed preset ranges by range function, with the day they were computed
+      this.selectRequest = null; // Latest pick, so a newer one replaces an unfinished check
       this.currentMonth = new Date();
-      this.loadedMonths = [];
+      this.loadedMonths = []; // Sorted 'YYYY-M' keys of rendered months
+      this.pendingScrollMonth = null;
+      this.visibleMonth = null; // First day of the month at the top of the list
+      this.monthObserver = null; // IntersectionObserver tracking visibleMonth
+      this.disabledCache = {};
+      this.disabledCacheDay = null; // ISO date the disabled cache was built on
+      this.blockedCache = {}; // First disabled date after each range start and how far it was scanned, by ISO date
+      this.rangeLimitsCache = {}; // Resolved day limits per range start, by ISO date
+      this.dayData = {}; // Entries from the dayData provider, by ISO date
+      this.dayDataMonths = {}; // 'loading' or 'loaded' per 'YYYY-M' month key
+      this.dayDataController = null; // Aborts pending dayData requests on destroy
+      this.hiddenInputs = {}; // Hidden ISO inputs by option ('name', 'startName', 'endName')
+      this.initialSelection = null; // Restored when the form is reset
+      this.requiredMessageShown = false; // A cancelled submit's required message is showing
+      this.disabledObserver = null; // MutationObserver watching disabled/readonly on the input and its fieldsets
       this.container = null;
       this.calendar = null;
       this.attachedElement = null;
       this.eventListeners = [];
+      this.handlers = {}; // Handlers added with on() and once(), by event name
+
+      this.locale = InfiDateUtils.getLocale(this.config.locale);
 
       // Initialize
       this.init();
@@ -302,22 +925,36 @@
           : this.config.attachTo;
       }
 
+      pickerRegistry.add(this);
+
       this.createContainer();
+      this.setupAttachedElementAria();
       this.bindEvents();
+      this.setupDisabledObserver();
 
       if (this.config.displayMode === 'inline') {
         this.show();
       }
 
-      if (this.config.defaultToToday && this.config.mode === 'single') {
-        this.selectDate(new Date());
+      // The input's own value or the default is not a user pick, so onBeforeSelect is not asked
+      const today = new Date();
+      if (this.selectInitialInputValue()) {
+        if (!this.config.initialDate) this.jumpToDate(this.getSelectedDatesArray()[0]);
+      } else if (this.config.defaultToToday && this.config.mode === 'single' && !this.isDateDisabled(today)) {
+        this.commitSelection(today);
       }
+
+      this.syncFormState();
+      this.syncDisabledState();
+      this.initialSelection = this.captureSelection();
     }
 
     createContainer() {
       this.container = document.createElement('div');
       this.container.className = `infidate-picker infidate-picker--${this.config.displayMode} infidate-picker--theme-${this.config.theme}`;
       this.container.id = InfiDateUtils.generateId();
+      this.container.setAttribute('lang', this.locale.intl);
+      this.container.setAttribute('dir', this.locale.dir);
 
       if (this.config.displayMode === 'inline' && this.attachedElement) {
         this.attachedElement.appendChild(this.container);
@@ -328,55 +965,498 @@
       this.createCalendar();
     }
 
+    // Describe the popup relationship on the attached input
+    setupAttachedElementAria() {
+      if (!this.attachedElement || this.config.displayMode === 'inline') return;
+
+      this.attachedElement.setAttribute('aria-haspopup', 'dialog');
+      this.attachedElement.setAttribute('aria-expanded', 'false');
+      this.attachedElement.setAttribute('aria-controls', `${this.container.id}-calendar`);
+    }
+
     createCalendar() {
       const calendarHTML = `
         ${this.config.displayMode === 'modal' ? this.createBackdrop() : ''}
-        <div class="infidate-calendar">
+        <div class="infidate-calendar" id="${this.container.id}-calendar" ${this.config.displayMode === 'inline' ? '' : `role="dialog" aria-modal="${this.config.displayMode === 'modal'}" `}aria-label="${this.locale.labels.calendar}">
+          <div class="infidate-live infidate-sr-only" role="status" aria-live="polite"></div>
+          <div class="infidate-preview-description infidate-sr-only" id="${this.container.id}-preview"></div>
           <div class="infidate-content">
             ${this.createHeader()}
+            <div class="infidate-message" role="alert" hidden></div>
             <div class="infidate-months-container">
               <div class="infidate-months" id="${this.container.id}-months"></div>
             </div>
+            ${this.createTimePanel()}
           </div>
         </div>
       `;
 
       this.container.innerHTML = calendarHTML;
       this.calendar = this.container.querySelector('.infidate-calendar');
+      this.liveRegion = this.container.querySelector('.infidate-live');
+      this.previewDescription = this.container.querySelector('.infidate-preview-description');
+      this.messageElement = this.container.querySelector('.infidate-message');
       this.monthsContainer = this.container.querySelector('.infidate-months');
+      this.syncTimePanel();
+      this.rebuildPresets();
+      this.setupVisibleMonthTracker();
 
       this.loadInitialMonths();
+      this.syncNavigation();
       this.setupInfiniteScroll();
     }
 
+    createTimePanel() {
+      if (!this.config.enableTime) return '';
+
+      const rows = this.config.mode === 'range' ? ['start', 'end'] : ['start'];
+      return `<div class="infidate-time">${rows.map(which => this.createTimeRow(which)).join('')}</div>`;
+    }
+
+    createTimeRow(which) {
+      const labels = this.locale.labels;
+      const label = this.config.mode === 'range' ? labels[`${which}Time`] : labels.time;
+      const pad = (value) => String(value).padStart(2, '0');
+      const twelveHour = this.isTwelveHourClock();
+
+      let hourOptions = '';
+      for (let hour = 0; hour < 24; hour++) {
+        const text = twelveHour ? `${pad(hour % 12 || 12)} ${this.locale.meridiem[hour < 12 ? 0 : 1]}` : pad(hour);
+        hourOptions += `<option value="${hour}">${text}</option>`;
+      }
+
+      let minuteOptions = '';
+      const step = Math.max(1, this.config.timeStep || 1);
+      for (let minute = 0; minute < 60; minute += step) {
+        minuteOptions += `<option value="${minute}">${pad(minute)}</option>`;
+      }
+
+      return `
+        <div class="infidate-time-row" role="group" aria-label="${label}" data-time="${which}">
+          <span class="infidate-time-label">${label}</span>
+          <select class="infidate-time-hour" aria-label="${labels.hour}">${hourOptions}</select>
+          <span class="infidate-time-separator">:</span>
+          <select class="infidate-time-minute" aria-label="${labels.minute}">${minuteOptions}</select>
+        </div>
+      `;
+    }
+
+    rebuildTimePanel() {
+      const panel = this.container.querySelector('.infidate-time');
+      if (panel) panel.remove();
+
+      const panelHTML = this.createTimePanel();
+      if (panelHTML) {
+        this.container.querySelector('.infidate-months-container').insertAdjacentHTML('afterend', panelHTML);
+        this.syncTimePanel();
+      }
+    }
+
+    // Reflect current times and min/max bounds in the time selects
+    syncTimePanel() {
+      this.container.querySelectorAll('.infidate-time-row').forEach(row => {
+        const which = row.dataset.time;
+        const time = this.times[which];
+        const bounds = this.getTimeBounds(which);
+        const hourSelect = row.querySelector('.infidate-time-hour');
+        const minuteSelect = row.querySelector('.infidate-time-minute');
+
+        Array.from(hourSelect.options).forEach(option => {
+          const hour = Number(option.value);
+          option.disabled = hour * 60 + 59 < bounds.min || hour * 60 > bounds.max;
+        });
+        Array.from(minuteSelect.options).forEach(option => {
+          const minutes = time.hours * 60 + Number(option.value);
+          option.disabled = minutes < bounds.min || minutes > bounds.max;
+        });
+
+        hourSelect.value = String(time.hours);
+        minuteSelect.value = String(time.minutes - (time.minutes % Math.max(1, this.config.timeStep || 1)));
+      });
+    }
+
+    isTwelveHourClock() {
+      if (this.config.time24hr === true) return false;
+      if (this.config.time24hr === false) return true;
+      return /A/.test(this.locale.timeFormat.replace(/\[[^\]]*\]/g, ''));
+    }
+
+    // Selected day a time row applies to
+    getTimeRowDate(which) {
+      if (which === 'end') return this.selectedEndDate;
+      return this.selectedDate || this.selectedStartDate || this.selectedDates[0] || null;
+    }
+
+    // Allowed range in minutes since midnight for a time row
+    getTimeBounds(which) {
+      const date = this.getTimeRowDate(which);
+      const resolve = (option) => {
+        const value = typeof option === 'function' ? (date ? option(date) : null) : option;
+        const time = InfiDateUtils.parseTime(value);
+        return time ? time.hours * 60 + time.minutes : null;
+      };
+
+      const min = resolve(this.config.minTime);
+      const max = resolve(this.config.maxTime);
+      return {
+        min: min === null ? 0 : min,
+        max: max === null ? 24 * 60 - 1 : max
+      };
+    }
+
+    // Copy of a date with the time of a time row, clamped to minTime/maxTime
+    applyTime(date, which) {
+      const bounds = this.getTimeBounds(which);
+      const time = this.times[which];
+      const minutes = Math.min(Math.max(time.hours * 60 + time.minutes, bounds.min), bounds.max);
+
+      this.times[which] = { hours: Math.floor(minutes / 60), minutes: minutes % 60 };
+      const result = InfiDateUtils.startOfDay(date);
+      result.setHours(this.times[which].hours, this.times[which].minutes);
+      return result;
+    }
+
+    // Apply the chosen times to the selected dates
+    applyTimesToSelection() {
+      if (!this.config.enableTime) return;
+
+      if (this.selectedDate) this.selectedDate = this.applyTime(this.selectedDate, 'start');
+      if (this.selectedStartDate) this.selectedStartDate = this.applyTime(this.selectedStartDate, 'start');
+      if (this.selectedEndDate) this.selectedEndDate = this.applyTime(this.selectedEndDate, 'end');
+      this.selectedDates = this.selectedDates.map(date => this.applyTime(date, 'start'));
+    }
+
+    // Set a time ('HH:mm') for the start (or only) or end time row; pass { silent: true } to skip onChange
+    setTime(time, which = 'start', options = {}) {
+      const parsed = InfiDateUtils.parseTime(time);
+      if (!parsed || !this.times[which]) {
+        console.warn(`Invalid time: ${time}. Use 'HH:mm'.`);
+        return false;
+      }
+
+      this.times[which] = parsed;
+      this.updateDisplay();
+
+      if (!options.silent && this.hasCompleteSelection()) {
+        this.triggerChange();
+      }
+      return true;
+    }
+
+    // Use the time of a programmatically set date for its time row
+    adoptTime(date, which) {
+      if (!this.config.enableTime || (date.getHours() === 0 && date.getMinutes() === 0)) return;
+      this.times[which] = { hours: date.getHours(), minutes: date.getMinutes() };
+    }
+
+    hasCompleteSelection() {
+      if (this.config.mode === 'range') return !!(this.selectedStartDate && this.selectedEndDate);
+      if (this.config.mode === 'multiple') return this.selectedDates.length > 0;
+      return !!this.selectedDate;
+    }
+
     createBackdrop() {
       return this.config.showBackdrop ? '<div class="infidate-backdrop"></div>' : '';
     }
 
     createHeader() {
+      const navigation = this.config.showNavigation ? this.createNavigation() : '';
+
       if (this.config.displayMode === 'inline') {
         return `
           <div class="infidate-header">
             ${this.config.title ? `<h3 class="infidate-title">${this.config.title}</h3>` : ''}
             ${this.config.subtitle ? `<p class="infidate-subtitle">${this.config.subtitle}</p>` : ''}
             ${this.config.allowModeSwitch ? this.createModeSwitch() : ''}
+            ${navigation}
           </div>
         `;
       }
-      return '';
+      return navigation ? `<div class="infidate-header infidate-header--nav">${navigation}</div>` : '';
+    }
+
+    // Month/year selects are filled by syncNavigation
+    createNavigation() {
+      const labels = this.locale.labels;
+      return `
+        <div class="infidate-nav" role="group" aria-label="${labels.navigation}">
+          <select class="infidate-nav-month" aria-label="${labels.month}"></select>
+          <select class="infidate-nav-year" aria-label="${labels.year}"></select>
+          <button type="button" class="infidate-nav-today">${labels.today}</button>
+        </div>
+      `;
+    }
+
+    // First and last month reachable from the navigation bar: minDate/maxDate and minYear/maxYear,
+    // or ten years either side of today (widened to the visible month) when unbounded
+    getNavigationBounds() {
+      const thisYear = new Date().getFullYear();
+      const minDate = this.config.minDate ? InfiDateUtils.parseDate(this.config.minDate) : null;
+      const maxDate = this.config.maxDate ? InfiDateUtils.parseDate(this.config.maxDate) : null;
+
+      const minCandidates = [
+        this.config.minYear ? new Date(this.config.minYear, 0, 1) : null,
+        minDate ? InfiDateUtils.getFirstDayOfMonth(minDate) : null
+      ].filter(Boolean);
+      const maxCandidates = [
+        this.config.maxYear ? new Date(this.config.maxYear, 11, 1) : null,
+        maxDate ? InfiDateUtils.getFirstDayOfMonth(maxDate) : null
+      ].filter(Boolean);
+
+      let min = minCandidates.length ? new Date(Math.max(...minCandidates)) : new Date(thisYear - 10, 0, 1);
+      let max = maxCandidates.length ? new Date(Math.min(...maxCandidates)) : new Date(thisYear + 10, 11, 1);
+
+      if (this.visibleMonth) {
+        if (!minCandidates.length && this.visibleMonth < min) min = new Date(this.visibleMonth.getFullYear(), 0, 1);
+        if (!maxCandidates.length && this.visibleMonth > max) max = new Date(this.visibleMonth.getFullYear(), 11, 1);
+      }
+      return { min, max };
+    }
+
+    // Fill the navigation selects for the visible month
+    syncNavigation() {
+      const monthSelect = this.container.querySelector('.infidate-nav-month');
+      const yearSelect = this.container.querySelector('.infidate-nav-year');
+      if (!monthSelect || !yearSelect || !this.visibleMonth) return;
+
+      const { min, max } = this.getNavigationBounds();
+      const year = this.visibleMonth.getFullYear();
+
+      let yearOptions = '';
+      for (let optionYear = min.getFullYear(); optionYear <= max.getFullYear(); optionYear++) {
+        yearOptions += `<option value="${optionYear}">${optionYear}</option>`;
+      }
+      yearSelect.innerHTML = yearOptions;
+      yearSelect.value = String(year);
+
+      monthSelect.innerHTML = this.locale.monthNames.map((name, month) => {
+        const monthDate = new Date(year, month, 1);
+        const outOfBounds = monthDate < min || monthDate > max;
+        return `<option value="${month}"${outOfBounds ? ' disabled' : ''}>${name}</option>`;
+      }).join('');
+      monthSelect.value = String(this.visibleMonth.getMonth());
+
+      const todayButton = this.container.querySelector('.infidate-nav-today');
+      const thisMonth = InfiDateUtils.getFirstDayOfMonth(new Date());
+      todayButton.disabled = thisMonth < min || thisMonth > max;
+    }
+
+    // Scroll to a month from the navigation bar, clamped to its bounds
+    goToMonth(monthDate) {
+      const { min, max } = this.getNavigationBounds();
+      let target = InfiDateUtils.getFirstDayOfMonth(monthDate);
+      if (target < min) target = min;
+      if (target > max) target = max;
+
+      if (!this.jumpToDate(target)) {
+        this.syncNavigation();
+        return false;
+      }
+      this.setVisibleMonth(target);
+      return true;
+    }
+
+    // Track the month at the top of the list, firing onMonthChange/onYearChange when it changes
+    setVisibleMonth(monthDate) {
+      const previous = this.visibleMonth;
+      if (previous && InfiDateUtils.iso(previous) === InfiDateUtils.iso(monthDate)) return;
+
+      this.visibleMonth = monthDate;
+      if (previous) {
+        this.triggerMonthChange(monthDate.getFullYear(), monthDate.getMonth());
+
+        if (previous.getFullYear() !== monthDate.getFullYear()) {
+          this.triggerYearChange(monthDate.getFullYear());
+        }
+      }
+      this.syncNavigation();
+    }
+
+    // First day of the month at the top of the list
+    getVisibleMonth() {
+      return this.visibleMonth ? new Date(this.visibleMonth) : null;
+    }
+
+    // Watch a thin strip at the top of the months list; the month crossing it is the visible month.
+    // Without IntersectionObserver the scroll handler falls back to updateVisibleMonth
+    setupVisibleMonthTracker() {
+      if (typeof IntersectionObserver === 'undefined') return;
+
+      this.monthObserver = new IntersectionObserver(entries => {
+        const entry = entries.filter(item => item.isIntersecting).pop();
+        if (entry) {
+          this.setVisibleMonth(this.getMonthFromKey(entry.target.dataset.month));
+        }
+      }, {
+        root: this.monthsContainer,
+        rootMargin: '0px 0px -99% 0px'
+      });
+    }
+
+    // Find the month at the top of the scrolled list
+    updateVisibleMonth() {
+      const container = this.monthsContainer;
+      if (!container.clientHeight) return;
+
+      const viewTop = container.scrollTop;
+      const topMonth = Array.from(container.children).find(monthElement => {
+        const top = monthElement.offsetTop - container.offsetTop;
+        return top + monthElement.offsetHeight > viewTop;
+      });
+
+      if (topMonth) {
+        this.setVisibleMonth(this.getMonthFromKey(topMonth.dataset.month));
+      }
     }
 
     createModeSwitch() {
+      const labels = this.locale.labels;
+      const modes = Array.isArray(this.config.allowModeSwitch) ? this.config.allowModeSwitch : ['single', 'range'];
+      return `
+        <div class="infidate-mode-switch" role="group" aria-label="${labels.modeSwitch}">
+          ${modes.map(mode => `<button type="button" class="infidate-mode-btn ${this.config.mode === mode ? 'active' : ''}" data-mode="${mode}">${labels[mode]}</button>`).join('')}
+        </div>
+      `;
+    }
+
+    // Presets for the current mode as { label, range }, with built-in keys resolved
+    getPresets() {
+      if (this.config.mode !== 'range' || !Array.isArray(this.config.presets)) return [];
+
+      return this.config.presets.map(preset => {
+        if (typeof preset === 'string') {
+          return InfiDatePresets[preset] ? { label: this.locale.labels[preset], range: InfiDatePresets[preset] } : null;
+        }
+        return preset && typeof preset.range === 'function' ? preset : null;
+      }).filter(Boolean);
+    }
+
+    // A preset's [start, end] as dates, or null if its range function throws or returns something
+    // else. Ranges only change with the day, so each is computed once per day
+    getPresetRange(preset) {
+      if (!preset) return null;
+
+      const today = InfiDateUtils.startOfDay(new Date());
+      const todayIso = InfiDateUtils.iso(today);
+      let cached = this.presetRanges.get(preset.range);
+      if (!cached || cached.day !== todayIso) {
+        let range = null;
+        try {
+          const result = preset.range(today);
+          const start = Array.isArray(result) ? InfiDateUtils.parseDate(result[0]) : null;
+          const end = Array.isArray(result) ? InfiDateUtils.parseDate(result[1]) : null;
+          range = start && end ? [new Date(start), new Date(end)] : null;
+        } catch (error) {
+          console.error(`InfiDate preset "${preset.label}" range failed:`, error);
+        }
+        cached = { day: todayIso, range };
+        this.presetRanges.set(preset.range, cached);
+      }
+
+      // Copies, so callers can't change the cached dates
+      return cached.range ? cached.range.map(date => new Date(date)) : null;
+    }
+
+    createPresets() {
+      const presets = this.getPresets();
+      if (!presets.length) return '';
+
       return `
-        <div class="infidate-mode-switch">
-          <button type="button" class="infidate-mode-btn ${this.config.mode === 'single' ? 'active' : ''}" data-mode="single">Single</button>
-          <button type="button" class="infidate-mode-btn ${this.config.mode === 'range' ? 'active' : ''}" data-mode="range">Range</button>
+        <div class="infidate-presets infidate-presets--${this.config.presetsPosition}" role="group" aria-label="${this.locale.labels.presets}">
+          ${presets.map((preset, index) => `<button type="button" class="infidate-preset" data-preset="${index}" aria-pressed="false">${InfiDateUtils.escapeHTML(preset.label)}</button>`).join('')}
         </div>
       `;
     }
 
+    // Render presets as a chip row above the months or as a sidebar next to them
+    rebuildPresets() {
+      this.presetRanges.clear();
+      const existing = this.calendar.querySelector('.infidate-presets');
+      if (existing) existing.remove();
+
+      const presetsHTML = this.createPresets();
+      const sidebar = !!presetsHTML.trim() && this.config.presetsPosition === 'side';
+      this.calendar.classList.toggle('infidate-calendar--sidebar', sidebar);
+
+      if (presetsHTML.trim()) {
+        const anchor = sidebar ? this.calendar.querySelector('.infidate-content') : this.messageElement;
+        anchor.insertAdjacentHTML('beforebegin', presetsHTML);
+      }
+      this.syncPresets();
+    }
+
+    // Highlight the preset matching the selection and disable presets that cannot be selected
+    syncPresets() {
+      const buttons = this.container.querySelectorAll('.infidate-preset');
+      if (!buttons.length) return;
+
+      const presets = this.getPresets();
+      const startIso = this.selectedStartDate ? InfiDateUtils.iso(this.selectedStartDate) : null;
+      const endIso = this.selectedEndDate ? InfiDateUtils.iso(this.selectedEndDate) : null;
+
+      buttons.forEach(button => {
+        const range = this.getPresetRange(presets[button.dataset.preset]);
+        const active = !!range && !!endIso &&
+          InfiDateUtils.iso(range[0]) === startIso && InfiDateUtils.iso(range[1]) === endIso;
+
+        button.classList.toggle('infidate-preset--active', active);
+        button.setAttribute('aria-pressed', String(active));
+        button.disabled = !range || !!this.getRangeProblem(range[0], range[1]);
+      });
+    }
+
+    // Select a preset's range unless onBeforeSelect, asked with (start, 'preset', end), cancels it
+    applyPreset(index) {
+      const range = this.getPresetRange(this.getPresets()[index]);
+      if (!range) return;
+
+      // Like a day pick, a preset replaces an unfinished asynchronous check
+      const request = {};
+      this.selectRequest = request;
+      this.setPendingDate(null);
+
+      const button = this.container.querySelector(`.infidate-preset[data-preset="${index}"]`);
+      const setPending = (pending) => {
+        if (!button) return;
+        button.classList.toggle('infidate-preset--pending', pending);
+        if (pending) {
+          button.setAttribute('aria-busy', 'true');
+        } else {
+          button.removeAttribute('aria-busy');
+        }
+      };
+
+      const finish = () => {
+        setPending(false);
+        if (this.selectRequest !== request) return false;
+        this.selectRequest = null;
+        return true;
+      };
+
+      const pending = this.runBeforeHook('onBeforeSelect', [range[0], 'preset', range[1]], () => {
+        if (finish()) this.commitPreset(range);
+      });
+
+      if (pending) {
+        setPending(true);
+        pending.then(finish);
+      }
+    }
+
+    // Select a preset's range and scroll to its start month
+    commitPreset(range) {
+      if (!this.setRange(range[0], range[1])) return;
+
+      this.hideMessage();
+      this.jumpToDate(range[0]);
+
+      if (this.shouldCloseOnSelect()) {
+        this.hide();
+      }
+    }
+
     loadInitialMonths() {
-      let startMonth = new Date(this.currentMonth);
+      let startMonth = new Date(InfiDateUtils.parseDate(this.config.initialDate) || this.currentMonth);
       startMonth.setDate(1);
 
       // Adjust start month if minYear is set
@@ -395,86 +1475,417 @@
 
         this.loadMonth(monthDate);
       }
+
+      this.visibleMonth = new Date(startMonth);
+
+      // Render one earlier month so the list can be scrolled upwards,
+      // then keep the start month at the top once the picker has a height
+      if (this.loadPreviousMonths()) {
+        this.pendingScrollMonth = startMonth;
+      }
+    }
+
+    // Convert a loadedMonths key ('YYYY-M', zero-based month) to the first day of that month
+    getMonthFromKey(monthKey) {
+      const [year, month] = monthKey.split('-').map(Number);
+      return new Date(year, month, 1);
     }
 
-    loadMonth(monthDate) {
+    // Add a month to the list, rendered or as an empty placeholder that is mounted once scrolled near
+    loadMonth(monthDate, placeholder = false) {
       const monthKey = `${monthDate.getFullYear()}-${monthDate.getMonth()}`;
 
       if (this.loadedMonths.includes(monthKey)) return;
 
-      this.loadedMonths.push(monthKey);
+      // Keep loadedMonths sorted so months can be added at either end
+      let insertIndex = this.loadedMonths.length;
+      while (insertIndex > 0 && this.getMonthFromKey(this.loadedMonths[insertIndex - 1]) > monthDate) {
+        insertIndex--;
+      }
+      const nextMonthKey = this.loadedMonths[insertIndex];
+      this.loadedMonths.splice(insertIndex, 0, monthKey);
 
       const monthElement = document.createElement('div');
       monthElement.className = 'infidate-month';
       monthElement.dataset.month = monthKey;
 
-      monthElement.innerHTML = this.createMonthHTML(monthDate);
-      this.monthsContainer.appendChild(monthElement);
+      const nextMonthElement = nextMonthKey
+        ? this.monthsContainer.querySelector(`.infidate-month[data-month="${nextMonthKey}"]`)
+        : null;
+      if (placeholder) {
+        // Size it like a rendered month so the scroll position lands on the right month
+        const renderedMonth = this.monthsContainer.querySelector('.infidate-month:not(.infidate-month--placeholder)');
+        monthElement.classList.add('infidate-month--placeholder');
+        if (renderedMonth && renderedMonth.offsetHeight) {
+          monthElement.style.height = `${renderedMonth.offsetHeight}px`;
+        }
+      }
 
-      // Trigger onDayCreate for each day element
-      if (this.config.onDayCreate) {
-        const dayElements = monthElement.querySelectorAll('.infidate-day:not(.infidate-day--empty)');
-        dayElements.forEach(dayElement => {
-          const dateStr = dayElement.dataset.date;
-          if (dateStr) {
-            const date = InfiDateUtils.parseDate(dateStr);
-            this.triggerDayCreate(dayElement, date);
-          }
-        });
+      this.monthsContainer.insertBefore(monthElement, nextMonthElement);
+      if (!placeholder) {
+        this.loadDayData(monthDate);
+        this.renderMonth(monthElement, monthDate);
       }
 
-      // Trigger onMonthChange
-      this.triggerMonthChange(monthDate.getFullYear(), monthDate.getMonth());
+      if (this.monthObserver) {
+        this.monthObserver.observe(monthElement);
+      }
     }
 
-    createMonthHTML(monthDate) {
-      const year = monthDate.getFullYear();
-      const month = monthDate.getMonth();
-      const monthName = InfiDateUtils.MONTH_NAMES[month];
+    // Request a month's prices and availability from the dayData provider, once per month;
+    // callers render the month afterwards so it shows the loading skeleton
+    loadDayData(monthDate) {
+      if (typeof this.config.dayData !== 'function') return;
 
-      const firstDay = new Date(year, month, 1);
-      const lastDay = new Date(year, month + 1, 0);
-      const daysInMonth = lastDay.getDate();
-      const startingDayOfWeek = firstDay.getDay();
+      const monthKey = `${monthDate.getFullYear()}-${monthDate.getMonth()}`;
+      if (this.dayDataMonths[monthKey]) return;
 
-      let html = `
-        <div class="infidate-month-header">
-          <h4>${monthName} ${year}</h4>
-        </div>
-        <div class="infidate-days-header">
-          ${InfiDateUtils.DAY_NAMES_SHORT.map(day => `<div class="infidate-day-name">${day}</div>`).join('')}
+      if (!this.dayDataController) {
+        this.dayDataController = new AbortController();
+      }
+      const signal = this.dayDataController.signal;
+      const monthStart = InfiDateUtils.getFirstDayOfMonth(monthDate);
+      const monthEnd = InfiDateUtils.getLastDayOfMonth(monthDate);
+
+      this.dayDataMonths[monthKey] = 'loading';
+
+      let request;
+      try {
+        request = Promise.resolve(this.config.dayData(monthStart, monthEnd, { signal }));
+      } catch (error) {
+        request = Promise.reject(error);
+      }
+
+      request.then(data => {
+        if (signal.aborted) return;
+
+        Object.keys(data || {}).forEach(dateIso => {
+          this.dayData[dateIso] = data[dateIso];
+          delete this.disabledCache[dateIso];
+        });
+        this.blockedCache = {};
+        this.dayDataMonths[monthKey] = 'loaded';
+        this.refreshMonth(monthKey);
+      }).catch(error => {
+        if (signal.aborted) return;
+
+        // Forget the month so it is requested again when re-rendered
+        console.warn(`dayData failed for ${InfiDateUtils.iso(monthStart)}:`, error);
+        delete this.dayDataMonths[monthKey];
+        this.refreshMonth(monthKey);
+      });
+    }
+
+    // Apply arrived (or failed) dayData to the cells of a mounted month. Cells are updated in place,
+    // so keyboard focus stays put and onDayCreate does not fire again
+    refreshMonth(monthKey) {
+      const monthElement = this.monthsContainer.querySelector(`.infidate-month[data-month="${monthKey}"]`);
+      if (!monthElement || monthElement.classList.contains('infidate-month--placeholder')) return;
+
+      this.refreshDisabledCache();
+      const loading = this.setMonthLoading(monthElement);
+      monthElement.querySelectorAll('.infidate-day[data-date]').forEach(dayElement => {
+        const date = InfiDateUtils.parseDate(dayElement.dataset.date);
+        const dayLabel = this.getDayLabel(date);
+        let labelElement = dayElement.querySelector('.infidate-day-label');
+
+        if (dayLabel === null && !loading) {
+          if (labelElement) labelElement.remove();
+        } else {
+          if (!labelElement) {
+            labelElement = document.createElement('span');
+            dayElement.appendChild(labelElement);
+          }
+          labelElement.className = dayLabel !== null ? 'infidate-day-label' : 'infidate-day-label infidate-day-label--loading';
+          labelElement.textContent = dayLabel !== null ? dayLabel : '';
+          if (dayLabel !== null) {
+            labelElement.removeAttribute('aria-hidden');
+          } else {
+            labelElement.setAttribute('aria-hidden', 'true');
+          }
+        }
+
+        dayElement.setAttribute('aria-label', dayLabel !== null ? `${this.formatAriaDate(date)}, ${dayLabel}` : this.formatAriaDate(date));
+        this.updateDayElement(dayElement, date);
+      });
+
+      if (this.isRangePending()) {
+        this.updatePreview();
+      }
+    }
+
+    // Mark a month as waiting for dayData; returns whether it is
+    setMonthLoading(monthElement) {
+      const loading = this.dayDataMonths[monthElement.dataset.month] === 'loading';
+      monthElement.classList.toggle('infidate-month--loading', loading);
+      if (loading) {
+        monthElement.setAttribute('aria-busy', 'true');
+      } else {
+        monthElement.removeAttribute('aria-busy');
+      }
+      return loading;
+    }
+
+    // Drop provider data and request it again for every loaded month
+    reloadDayData() {
+      if (this.dayDataController) {
+        this.dayDataController.abort();
+        this.dayDataController = null;
+      }
+      this.dayData = {};
+      this.dayDataMonths = {};
+      this.disabledCache = {};
+      this.blockedCache = {};
+
+      this.loadedMonths.forEach(monthKey => this.loadDayData(this.getMonthFromKey(monthKey)));
+      this.rerenderMonths();
+    }
+
+    // Provider entry for a date, or null
+    getDayEntry(date) {
+      return this.dayData[InfiDateUtils.iso(date)] || null;
+    }
+
+    // Sub-label shown under the day number: the entry's label, else its price
+    getDayLabel(date) {
+      const entry = this.getDayEntry(date);
+      if (!entry) return null;
+      if (entry.label !== undefined && entry.label !== null) return String(entry.label);
+      if (entry.price !== undefined && entry.price !== null) return String(entry.price);
+      return null;
+    }
+
+    // Render a month's days into its element
+    renderMonth(monthElement, monthDate) {
+      this.refreshDisabledCache();
+      this.setMonthLoading(monthElement);
+      monthElement.innerHTML = this.createMonthHTML(monthDate);
+
+      // Trigger onDayCreate for each day element
+      if (this.hasListeners('dayCreate')) {
+        const dayElements = monthElement.querySelectorAll('.infidate-day:not(.infidate-day--empty)');
+        dayElements.forEach(dayElement => {
+          const dateStr = dayElement.dataset.date;
+          if (dateStr) {
+            const date = InfiDateUtils.parseDate(dateStr);
+            this.triggerDayCreate(dayElement, date);
+          }
+        });
+      }
+
+      if (this.isRangePending()) {
+        this.updatePreview();
+      }
+    }
+
+    // Mount months near the viewport and replace the rest with fixed-height placeholders
+    updateVirtualWindow() {
+      if (!this.config.virtualize) return;
+
+      const container = this.monthsContainer;
+      const viewportHeight = container.clientHeight;
+      if (!viewportHeight) return; // Hidden, nothing to measure
+
+      const monthElements = Array.from(container.children);
+      const viewTop = container.scrollTop;
+      const viewBottom = viewTop + viewportHeight;
+      let firstVisible = -1;
+      let lastVisible = -1;
+
+      monthElements.forEach((monthElement, index) => {
+        const top = monthElement.offsetTop - container.offsetTop;
+        if (top + monthElement.offsetHeight > viewTop && top < viewBottom) {
+          if (firstVisible === -1) firstVisible = index;
+          lastVisible = index;
+        }
+      });
+
+      if (firstVisible === -1) return;
+
+      // Never unmount the month holding keyboard focus
+      const focusedMonthKey = this.focusedDate && this.container.contains(document.activeElement)
+        ? `${this.focusedDate.getFullYear()}-${this.focusedDate.getMonth()}`
+        : null;
+
+      const buffer = this.config.monthBuffer;
+      monthElements.forEach((monthElement, index) => {
+        if ((index >= firstVisible - buffer && index <= lastVisible + buffer) ||
+            monthElement.dataset.month === focusedMonthKey) {
+          this.mountMonth(monthElement);
+        } else {
+          this.unmountMonth(monthElement);
+        }
+      });
+
+      this.trimPlaceholderMonths(firstVisible - buffer - placeholderMonthLimit,
+        lastVisible + buffer + placeholderMonthLimit);
+    }
+
+    // Remove placeholder months at either end of the list that lie outside the given indexes, so the
+    // number of month elements stays bounded however far the user scrolls
+    trimPlaceholderMonths(firstKept, lastKept) {
+      const container = this.monthsContainer;
+      const isPlaceholder = (monthElement) => monthElement &&
+        monthElement.classList.contains('infidate-month--placeholder');
+      const removeMonth = (monthElement) => {
+        if (this.monthObserver) this.monthObserver.unobserve(monthElement);
+        this.loadedMonths.splice(this.loadedMonths.indexOf(monthElement.dataset.month), 1);
+        monthElement.remove();
+      };
+
+      let trailing = container.children.length - 1 - lastKept;
+      while (trailing-- > 0 && isPlaceholder(container.lastElementChild)) {
+        removeMonth(container.lastElementChild);
+      }
+
+      // Keep the visible months in place while content is removed above them
+      const previousScrollHeight = container.scrollHeight;
+      let leading = firstKept;
+      while (leading-- > 0 && isPlaceholder(container.firstElementChild)) {
+        removeMonth(container.firstElementChild);
+      }
+      if (container.scrollHeight !== previousScrollHeight) {
+        this.setScrollTop(container.scrollTop + container.scrollHeight - previousScrollHeight);
+      }
+    }
+
+    mountMonth(monthElement) {
+      if (!monthElement.classList.contains('infidate-month--placeholder')) return;
+
+      const monthDate = this.getMonthFromKey(monthElement.dataset.month);
+      monthElement.classList.remove('infidate-month--placeholder');
+      monthElement.style.height = '';
+      this.loadDayData(monthDate); // Retries a month whose request failed
+      this.renderMonth(monthElement, monthDate);
+    }
+
+    unmountMonth(monthElement) {
+      if (monthElement.classList.contains('infidate-month--placeholder')) return;
+
+      // Keep the measured height so the scroll position does not change
+      monthElement.style.height = `${monthElement.offsetHeight}px`;
+      monthElement.classList.add('infidate-month--placeholder');
+      monthElement.innerHTML = '';
+    }
+
+    createMonthHTML(monthDate) {
+      const year = monthDate.getFullYear();
+      const month = monthDate.getMonth();
+      const monthName = this.locale.monthNames[month];
+      const firstDayOfWeek = this.locale.firstDayOfWeek || 0;
+
+      const firstDay = new Date(year, month, 1);
+      const lastDay = new Date(year, month + 1, 0);
+      const daysInMonth = lastDay.getDate();
+      const startingDayOfWeek = (firstDay.getDay() - firstDayOfWeek + 7) % 7;
+      const focusIso = InfiDateUtils.iso(this.getFocusDate());
+      const loading = this.dayDataMonths[`${year}-${month}`] === 'loading';
+
+      const labelId = `${this.container.id}-month-${year}-${month}`;
+
+      // Weekday headers rotated to start on the locale's first day of week
+      const dayNames = [];
+      for (let i = 0; i < 7; i++) {
+        const dayIndex = (firstDayOfWeek + i) % 7;
+        dayNames.push(`<div class="infidate-day-name" role="columnheader" aria-label="${this.locale.dayNames[dayIndex]}">${this.locale.dayNamesShort[dayIndex]}</div>`);
+      }
+
+      let html = `
+        <div class="infidate-month-header">
+          <h4 id="${labelId}">${monthName} ${year}</h4>
         </div>
-        <div class="infidate-days-grid">
+        <div class="infidate-month-grid" role="grid" aria-labelledby="${labelId}">
+          <div class="infidate-days-header" role="row">
+            ${dayNames.join('')}
+          </div>
+          <div class="infidate-days-grid" role="rowgroup">
+            <div class="infidate-week" role="row">
       `;
 
       // Empty cells for days before month starts
       for (let i = 0; i < startingDayOfWeek; i++) {
-        html += '<div class="infidate-day infidate-day--empty"></div>';
+        html += '<div class="infidate-day infidate-day--empty" role="gridcell"></div>';
       }
 
       // Days of the month
       for (let day = 1; day <= daysInMonth; day++) {
         const date = new Date(year, month, day);
-        const isDisabled = this.isDateDisabled(date);
-        const isSelected = this.isDateSelected(date);
+        const isDisabled = this.isDateDisabledCached(date);
+        const isSelected = !!this.isDateSelected(date);
         const isToday = InfiDateUtils.isSameDay(date, new Date());
         const isInRange = this.isDateInRange(date);
+        const entry = this.getDayEntry(date);
+        const dayLabel = this.getDayLabel(date);
 
         const classes = [
           'infidate-day',
           isDisabled ? 'infidate-day--disabled' : '',
           isSelected ? 'infidate-day--selected' : '',
           isToday ? 'infidate-day--today' : '',
-          isInRange ? 'infidate-day--in-range' : ''
+          isInRange ? 'infidate-day--in-range' : '',
+          this.getRangeStepClass(date),
+          entry && entry.className ? InfiDateUtils.escapeHTML(entry.className) : ''
         ].filter(Boolean).join(' ');
 
-        html += `<div class="${classes}" data-date="${InfiDateUtils.iso(date)}">${day}</div>`;
+        // Sub-label from dayData, or a skeleton while the month is loading
+        let subLabel = '';
+        if (dayLabel !== null) {
+          subLabel = `<span class="infidate-day-label">${InfiDateUtils.escapeHTML(dayLabel)}</span>`;
+        } else if (loading) {
+          subLabel = '<span class="infidate-day-label infidate-day-label--loading" aria-hidden="true"></span>';
+        }
+        const ariaLabel = dayLabel !== null ? `${this.formatAriaDate(date)}, ${dayLabel}` : this.formatAriaDate(date);
+
+        // Start a new row at each week boundary
+        if (day > 1 && (startingDayOfWeek + day - 1) % 7 === 0) {
+          html += '</div><div class="infidate-week" role="row">';
+        }
+
+        const dateIso = InfiDateUtils.iso(date);
+        html += `<div class="${classes}" role="gridcell" data-date="${dateIso}" tabindex="${dateIso === focusIso ? 0 : -1}"` +
+          ` aria-label="${InfiDateUtils.escapeHTML(ariaLabel)}" aria-selected="${isSelected}"` +
+          `${isDisabled ? ' aria-disabled="true"' : ''}${isToday ? ' aria-current="date"' : ''}>${day}${subLabel}</div>`;
       }
 
-      html += '</div>';
+      html += '</div></div></div>';
       return html;
     }
 
+    // Full date used for screen reader labels
+    formatAriaDate(date) {
+      return InfiDateUtils.formatDate(date, this.locale.ariaDateFormat, this.locale);
+    }
+
+    // Disabled state per ISO date, reused by re-renders and display updates
+    isDateDisabledCached(date) {
+      const dateIso = InfiDateUtils.iso(date);
+      if (!(dateIso in this.disabledCache)) {
+        this.disabledCache[dateIso] = this.isDateDisabled(date);
+      }
+      return this.disabledCache[dateIso];
+    }
+
+    // Drop cached disabled states that may be stale. Function rules can depend on outside state, so
+    // with them every render pass starts fresh; 'today' rules change at midnight
+    refreshDisabledCache() {
+      const today = InfiDateUtils.iso(new Date());
+      const dynamic = [this.config.disable, this.config.enable].some(rules =>
+        Array.isArray(rules) && rules.some(rule => typeof rule === 'function'));
+
+      if (dynamic || this.disabledCacheDay !== today) {
+        this.disabledCache = {};
+        this.blockedCache = {};
+        this.disabledCacheDay = today;
+      }
+
+      // Limit functions may read outside state too; blocked dates depend on maxRangeDays
+      const limits = [this.config.minRangeDays, this.config.maxRangeDays, this.config.minNights, this.config.maxNights];
+      if (limits.some(limit => typeof limit === 'function')) {
+        this.rangeLimitsCache = {};
+        this.blockedCache = {};
+      }
+    }
+
     isDateDisabled(date) {
       // Check whitelist mode first (enable array)
       if (this.config.enable && Array.isArray(this.config.enable)) {
@@ -484,17 +1895,22 @@
         }
       }
 
-      // Check min/max dates
+      // Check min/max dates by calendar day, ignoring the time of either side
+      const dateIso = InfiDateUtils.iso(date);
       if (this.config.minDate) {
         const minDate = InfiDateUtils.parseDate(this.config.minDate);
-        if (minDate && date < minDate) return true;
+        if (minDate && dateIso < InfiDateUtils.iso(minDate)) return true;
       }
 
       if (this.config.maxDate) {
         const maxDate = InfiDateUtils.parseDate(this.config.maxDate);
-        if (maxDate && date > maxDate) return true;
+        if (maxDate && dateIso > InfiDateUtils.iso(maxDate)) return true;
       }
 
+      // Check availability from the dayData provider
+      const entry = this.getDayEntry(date);
+      if (entry && entry.disabled) return true;
+
       // Check disable array
       return InfiDateUtils.isDateDisabled(date, this.config.disable);
     }
@@ -502,6 +1918,8 @@
     isDateSelected(date) {
       if (this.config.mode === 'single') {
         return this.selectedDate && InfiDateUtils.isSameDay(date, this.selectedDate);
+      } else if (this.config.mode === 'multiple') {
+        return this.selectedDates.some(selected => InfiDateUtils.isSameDay(date, selected));
       } else {
         return (this.selectedStartDate && InfiDateUtils.isSameDay(date, this.selectedStartDate)) ||
                (this.selectedEndDate && InfiDateUtils.isSameDay(date, this.selectedEndDate));
@@ -513,11 +1931,15 @@
         return false;
       }
 
-      return date > this.selectedStartDate && date < this.selectedEndDate;
+      // Compare calendar days so selected times do not affect the highlight
+      const dateIso = InfiDateUtils.iso(date);
+      return dateIso > InfiDateUtils.iso(this.selectedStartDate) && dateIso < InfiDateUtils.iso(this.selectedEndDate);
     }
 
     setupInfiniteScroll() {
       const scrollHandler = InfiDateUtils.throttle(() => {
+        if (!this.container) return; // Trailing call after destroy()
+
         const container = this.monthsContainer;
         const scrollTop = container.scrollTop;
         const scrollHeight = container.scrollHeight;
@@ -527,6 +1949,17 @@
         if (scrollHeight - scrollTop - clientHeight < this.config.scrollThreshold) {
           this.loadMoreMonths();
         }
+
+        // Load earlier months when near top
+        if (clientHeight > 0 && scrollTop < this.config.scrollThreshold) {
+          this.loadPreviousMonths();
+        }
+
+        this.updateVirtualWindow();
+
+        if (!this.monthObserver) {
+          this.updateVisibleMonth();
+        }
       }, 100);
 
       this.monthsContainer.addEventListener('scroll', scrollHandler);
@@ -537,33 +1970,85 @@
       });
     }
 
-    loadMoreMonths() {
+    loadMoreMonths(placeholder = false) {
       if (this.loadedMonths.length >= this.config.maxMonths) return;
 
-      const lastLoadedMonth = this.loadedMonths[this.loadedMonths.length - 1];
-      const [year, month] = lastLoadedMonth.split('-').map(Number);
-
-      const nextMonth = new Date(year, month + 1, 1);
+      const lastLoadedMonth = this.getMonthFromKey(this.loadedMonths[this.loadedMonths.length - 1]);
+      const nextMonth = new Date(lastLoadedMonth.getFullYear(), lastLoadedMonth.getMonth() + 1, 1);
 
       // Check if next month exceeds maxYear constraint
       if (this.config.maxYear && nextMonth.getFullYear() > this.config.maxYear) {
         return;
       }
 
-      this.loadMonth(nextMonth);
+      this.loadMonth(nextMonth, placeholder);
+    }
+
+    loadPreviousMonths(placeholder = false) {
+      if (!this.loadedMonths.length || this.loadedMonths.length >= this.config.maxMonths) return false;
+
+      const firstLoadedMonth = this.getMonthFromKey(this.loadedMonths[0]);
+      const previousMonth = new Date(firstLoadedMonth.getFullYear(), firstLoadedMonth.getMonth() - 1, 1);
+
+      // Check if previous month is before minYear constraint
+      if (this.config.minYear && previousMonth.getFullYear() < this.config.minYear) {
+        return false;
+      }
+
+      // Months entirely before minDate have nothing selectable
+      const minDate = this.config.minDate ? InfiDateUtils.parseDate(this.config.minDate) : null;
+      if (minDate && previousMonth < InfiDateUtils.getFirstDayOfMonth(minDate)) {
+        return false;
+      }
+
+      // Keep the visible months in place while content is added above them
+      const container = this.monthsContainer;
+      const previousScrollHeight = container.scrollHeight;
+      this.loadMonth(previousMonth, placeholder);
+      this.setScrollTop(container.scrollTop + container.scrollHeight - previousScrollHeight);
+      return true;
+    }
+
+    // Set the months scroll position without the smooth-scroll animation
+    setScrollTop(scrollTop) {
+      const container = this.monthsContainer;
+      const scrollBehavior = container.style.scrollBehavior;
+      container.style.scrollBehavior = 'auto';
+      container.scrollTop = scrollTop;
+      container.style.scrollBehavior = scrollBehavior;
+    }
+
+    // Scroll so the given month is at the top of the list
+    scrollToMonth(monthDate) {
+      const monthElement = this.monthsContainer.querySelector(
+        `.infidate-month[data-month="${monthDate.getFullYear()}-${monthDate.getMonth()}"]`
+      );
+      if (!monthElement) return false;
+
+      this.setScrollTop(monthElement.offsetTop - this.monthsContainer.offsetTop);
+      return true;
+    }
+
+    // Apply the initial scroll position once the months container is visible
+    applyPendingScroll() {
+      if (!this.pendingScrollMonth || !this.monthsContainer.clientHeight) return;
+
+      this.scrollToMonth(this.pendingScrollMonth);
+      this.pendingScrollMonth = null;
     }
 
     bindEvents() {
       // Click events for date selection
       const clickHandler = (e) => {
         const dayElement = e.target.closest('.infidate-day');
-        if (!dayElement || dayElement.classList.contains('infidate-day--disabled') || dayElement.classList.contains('infidate-day--empty')) {
+        if (!dayElement || !this.isDaySelectable(dayElement)) {
           return;
         }
 
         const dateStr = dayElement.dataset.date;
         if (dateStr) {
-          const date = new Date(dateStr);
+          const date = InfiDateUtils.parseDate(dateStr);
+          this.setFocusableDay(dayElement, date);
           this.selectDate(date);
         }
       };
@@ -593,6 +2078,178 @@
         });
       }
 
+      // Month/year navigation
+      const navigationHandler = (e) => {
+        if (e.type === 'click') {
+          if (e.target.closest('.infidate-nav-today')) {
+            this.goToMonth(new Date());
+          }
+          return;
+        }
+
+        const nav = e.target.closest('.infidate-nav');
+        if (!nav) return;
+
+        const year = Number(nav.querySelector('.infidate-nav-year').value);
+        const month = Number(nav.querySelector('.infidate-nav-month').value);
+        this.goToMonth(new Date(year, month, 1));
+      };
+
+      this.container.addEventListener('click', navigationHandler);
+      this.container.addEventListener('change', navigationHandler);
+      this.eventListeners.push(
+        {
+          element: this.container,
+          event: 'click',
+          handler: navigationHandler
+        },
+        {
+          element: this.container,
+          event: 'change',
+          handler: navigationHandler
+        }
+      );
+
+      // Preset shortcuts
+      const presetHandler = (e) => {
+        const presetBtn = e.target.closest('.infidate-preset');
+        if (presetBtn && !presetBtn.disabled) {
+          this.applyPreset(Number(presetBtn.dataset.preset));
+        }
+      };
+
+      this.container.addEventListener('click', presetHandler);
+      this.eventListeners.push({
+        element: this.container,
+        event: 'click',
+        handler: presetHandler
+      });
+
+      // Range preview follows the pointer and keyboard focus
+      const previewHandler = (e) => {
+        if (!this.isRangePending()) return;
+
+        const dayElement = e.target.closest('.infidate-day[data-date]');
+        if (dayElement) {
+          this.setPreviewDate(InfiDateUtils.parseDate(dayElement.dataset.date));
+        }
+      };
+      const previewLeaveHandler = () => {
+        if (this.previewDate && !this.container.contains(document.activeElement)) {
+          this.setPreviewDate(null);
+        }
+      };
+
+      this.container.addEventListener('mouseover', previewHandler);
+      this.container.addEventListener('focusin', previewHandler);
+      this.monthsContainer.addEventListener('mouseleave', previewLeaveHandler);
+      this.eventListeners.push(
+        {
+          element: this.container,
+          event: 'mouseover',
+          handler: previewHandler
+        },
+        {
+          element: this.container,
+          event: 'focusin',
+          handler: previewHandler
+        },
+        {
+          element: this.monthsContainer,
+          event: 'mouseleave',
+          handler: previewLeaveHandler
+        }
+      );
+
+      // Time selects
+      const timeHandler = (e) => {
+        const row = e.target.closest('.infidate-time-row');
+        if (!row) return;
+
+        const hours = Number(row.querySelector('.infidate-time-hour').value);
+        const minutes = Number(row.querySelector('.infidate-time-minute').value);
+        this.setTime(`${hours}:${String(minutes).padStart(2, '0')}`, row.dataset.time);
+      };
+
+      this.container.addEventListener('change', timeHandler);
+      this.eventListeners.push({
+        element: this.container,
+        event: 'change',
+        handler: timeHandler
+      });
+
+      // Typed dates in the attached input
+      if (this.config.allowInput && this.attachedElement && this.attachedElement.tagName === 'INPUT') {
+        const inputHandler = (e) => {
+          if (e.type === 'keydown') {
+            if (e.key !== 'Enter') return;
+            // Enter on unedited text submits the form as usual
+            if (this.attachedElement.value.trim() !== this.getFormattedValue()) e.preventDefault();
+            this.applyInputValue(true);
+            return;
+          }
+
+          // 'change' fires on blur after the text was edited
+          this.applyInputValue();
+        };
+
+        this.attachedElement.addEventListener('keydown', inputHandler);
+        this.attachedElement.addEventListener('change', inputHandler);
+        this.eventListeners.push(
+          {
+            element: this.attachedElement,
+            event: 'keydown',
+            handler: inputHandler
+          },
+          {
+            element: this.attachedElement,
+            event: 'change',
+            handler: inputHandler
+          }
+        );
+      }
+
+      // Ignore interaction while the input or its fieldset is disabled or readonly
+      const disabledGuard = (e) => {
+        if (this.isDisabled()) {
+          e.stopPropagation();
+        }
+      };
+
+      ['click', 'keydown', 'change'].forEach(event => {
+        this.container.addEventListener(event, disabledGuard, true);
+        this.eventListeners.push({
+          element: this.container,
+          event: event,
+          handler: disabledGuard,
+          options: true
+        });
+      });
+
+      // Restore the initial selection when the surrounding form is reset
+      const form = this.getForm();
+      if (form) {
+        // Form controls are reset after the event, so restore once they are
+        const resetHandler = () => setTimeout(() => this.restoreInitialSelection(), 0);
+
+        form.addEventListener('reset', resetHandler);
+        this.eventListeners.push({
+          element: form,
+          event: 'reset',
+          handler: resetHandler
+        });
+
+        // Enforce required where the browser's validation can't, before the page's own submit handlers
+        const submitHandler = (e) => this.handleRequiredSubmit(e);
+        form.addEventListener('submit', submitHandler, true);
+        this.eventListeners.push({
+          element: form,
+          event: 'submit',
+          handler: submitHandler,
+          options: true
+        });
+      }
+
       // Dropdown/Modal specific events
       if (this.config.displayMode !== 'inline') {
         this.bindDropdownModalEvents();
@@ -648,7 +2305,7 @@
       // Scroll events to reposition dropdown
       if (this.config.displayMode === 'dropdown') {
         const scrollHandler = InfiDateUtils.throttle(() => {
-          if (this.isOpen) {
+          if (this.isOpen && this.container) {
             this.positionDropdown();
           }
         }, 16);
@@ -675,23 +2332,26 @@
       const keyHandler = (e) => {
         if (!this.isOpen) return;
 
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          this.hide();
+          return;
+        }
+
+        // Remaining keys only apply to a focused day cell of this picker
+        const focusedDay = e.target && e.target.closest ? e.target.closest('.infidate-day[data-date]') : null;
+        if (!focusedDay || !this.container.contains(focusedDay)) return;
+
         switch (e.key) {
-          case 'Escape':
-            e.preventDefault();
-            this.hide();
-            break;
           case 'Enter':
           case ' ':
             e.preventDefault();
-            // Handle enter/space on focused day
-            const focusedDay = this.container.querySelector('.infidate-day:focus');
-            if (focusedDay && !focusedDay.classList.contains('infidate-day--disabled')) {
-              const dateStr = focusedDay.dataset.date;
-              if (dateStr) {
-                this.selectDate(new Date(dateStr));
-              }
+            if (this.isDaySelectable(focusedDay)) {
+              this.selectDate(InfiDateUtils.parseDate(focusedDay.dataset.date));
             }
             break;
+          default:
+            this.handleGridNavigation(e, InfiDateUtils.parseDate(focusedDay.dataset.date));
         }
       };
 
@@ -703,208 +2363,1189 @@
       });
     }
 
-    selectDate(date) {
-      if (this.isDateDisabled(date)) return;
-
-      if (this.config.mode === 'single') {
-        this.selectedDate = date;
-        this.updateDisplay();
-        this.triggerChange();
+    handleGridNavigation(e, current) {
+      const dir = this.locale.dir === 'rtl' ? -1 : 1;
+      const weekOffset = (current.getDay() - (this.locale.firstDayOfWeek || 0) + 7) % 7;
+      let target;
 
-        if (this.config.closeOnSelect && this.config.displayMode !== 'inline') {
-          this.hide();
-        }
-      } else {
-        this.handleRangeSelection(date);
+      switch (e.key) {
+        case 'ArrowLeft':
+          target = InfiDateUtils.addDays(current, -dir);
+          break;
+        case 'ArrowRight':
+          target = InfiDateUtils.addDays(current, dir);
+          break;
+        case 'ArrowUp':
+          target = InfiDateUtils.addDays(current, -7);
+          break;
+        case 'ArrowDown':
+          target = InfiDateUtils.addDays(current, 7);
+          break;
+        case 'PageUp':
+          target = InfiDateUtils.addMonths(current, e.shiftKey ? -12 : -1);
+          break;
+        case 'PageDown':
+          target = InfiDateUtils.addMonths(current, e.shiftKey ? 12 : 1);
+          break;
+        case 'Home':
+          target = InfiDateUtils.addDays(current, -weekOffset);
+          break;
+        case 'End':
+          target = InfiDateUtils.addDays(current, 6 - weekOffset);
+          break;
+        default:
+          return;
       }
+
+      e.preventDefault();
+      this.focusDate(target);
     }
 
-    handleRangeSelection(date) {
-      if (!this.selectedStartDate || (this.selectedStartDate && this.selectedEndDate)) {
-        // Start new range
-        this.selectedStartDate = date;
-        this.selectedEndDate = null;
-      } else if (date < this.selectedStartDate) {
-        // Selected date is before start, make it the new start
-        this.selectedStartDate = date;
-        this.selectedEndDate = null;
-      } else {
-        // Complete the range
-        this.selectedEndDate = date;
+    // Date that owns the roving tabindex in the day grid
+    getFocusDate() {
+      return this.focusedDate || this.selectedDate || this.selectedStartDate || this.selectedDates[0] ||
+        InfiDateUtils.parseDate(this.config.initialDate) || new Date();
+    }
 
-        // Validate range
-        const daysDiff = InfiDateUtils.daysDiff(this.selectedStartDate, this.selectedEndDate);
+    // Day cell that should receive focus, falling back to the first rendered day
+    getFocusableDayElement() {
+      return this.container.querySelector(`.infidate-day[data-date="${InfiDateUtils.iso(this.getFocusDate())}"]`) ||
+        this.container.querySelector('.infidate-day[data-date]');
+    }
 
-        if (daysDiff < this.config.minRangeDays - 1) {
-          // Range too short, reset
-          this.selectedStartDate = date;
-          this.selectedEndDate = null;
-          return;
-        }
+    // Move the roving tabindex to a day cell
+    setFocusableDay(dayElement, date) {
+      this.container.querySelectorAll('.infidate-day[tabindex="0"]').forEach(el => {
+        el.setAttribute('tabindex', '-1');
+      });
+      dayElement.setAttribute('tabindex', '0');
+      this.focusedDate = date;
+    }
 
-        if (daysDiff > this.config.maxRangeDays - 1) {
-          // Range too long, reset
-          this.selectedStartDate = date;
-          this.selectedEndDate = null;
-          return;
+    // Load months towards a date until its month is rendered; with virtualize, months further than
+    // monthBuffer from the date are added as placeholders so a far jump renders and fetches only near it
+    ensureMonthLoaded(date) {
+      const targetMonth = InfiDateUtils.getFirstDayOfMonth(date);
+      const isFar = (monthDate) => this.config.virtualize &&
+        Math.abs((targetMonth.getFullYear() - monthDate.getFullYear()) * 12 + targetMonth.getMonth() - monthDate.getMonth()) >
+          this.config.monthBuffer;
+
+      while (this.loadedMonths.length) {
+        const loadedCount = this.loadedMonths.length;
+        const lastMonth = this.getMonthFromKey(this.loadedMonths[loadedCount - 1]);
+        const firstMonth = this.getMonthFromKey(this.loadedMonths[0]);
+
+        if (targetMonth > lastMonth) {
+          this.loadMoreMonths(isFar(new Date(lastMonth.getFullYear(), lastMonth.getMonth() + 1, 1)));
+        } else if (targetMonth < firstMonth) {
+          this.loadPreviousMonths(isFar(new Date(firstMonth.getFullYear(), firstMonth.getMonth() - 1, 1)));
         }
 
-        this.triggerChange();
-
-        if (this.config.closeOnSelect && this.config.displayMode !== 'inline') {
-          this.hide();
-        }
+        if (this.loadedMonths.length === loadedCount) break;
       }
-
-      this.updateDisplay();
     }
 
-    updateDisplay() {
-      // Update all day elements
-      const dayElements = this.container.querySelectorAll('.infidate-day[data-date]');
-      dayElements.forEach(dayElement => {
-        const dateStr = dayElement.dataset.date;
-        const date = new Date(dateStr);
+    // Focus a date, loading months until it is rendered
+    focusDate(date) {
+      this.ensureMonthLoaded(date);
 
-        // Reset classes
-        dayElement.className = 'infidate-day';
+      const monthElement = this.monthsContainer.querySelector(
+        `.infidate-month[data-month="${date.getFullYear()}-${date.getMonth()}"]`
+      );
+      if (monthElement) this.mountMonth(monthElement);
 
-        // Add state classes
-        if (this.isDateDisabled(date)) {
-          dayElement.classList.add('infidate-day--disabled');
-        }
+      const dayElement = this.container.querySelector(`.infidate-day[data-date="${InfiDateUtils.iso(date)}"]`);
+      if (!dayElement) return false;
 
-        if (this.isDateSelected(date)) {
-          dayElement.classList.add('infidate-day--selected');
-        }
+      this.setFocusableDay(dayElement, date);
+      dayElement.focus();
+      return true;
+    }
 
-        if (InfiDateUtils.isSameDay(date, new Date())) {
-          dayElement.classList.add('infidate-day--today');
-        }
+    // Disabled days are skipped, except a checkout day offered by allowDisabledCheckout
+    isDaySelectable(dayElement) {
+      if (dayElement.classList.contains('infidate-day--empty')) return false;
+      return !dayElement.classList.contains('infidate-day--disabled') ||
+        dayElement.classList.contains('infidate-day--checkout');
+    }
 
-        if (this.isDateInRange(date)) {
-          dayElement.classList.add('infidate-day--in-range');
-        }
+    // Pick a date as if its cell was clicked, unless onBeforeSelect cancels it
+    selectDate(date) {
+      if (!this.canSelectDate(date)) return;
+      if (this.pendingDate && InfiDateUtils.isSameDay(this.pendingDate, date)) return;
+
+      // A new pick replaces an unfinished asynchronous check
+      const request = {};
+      this.selectRequest = request;
+      this.setPendingDate(null);
+
+      const finish = () => {
+        if (this.selectRequest !== request) return false;
+        this.selectRequest = null;
+        this.setPendingDate(null);
+        return true;
+      };
+
+      const step = () => this.config.mode !== 'range' ? 'date' : this.startsNewRange(date) ? 'start' : 'end';
+      const which = step();
+      const pending = this.runBeforeHook('onBeforeSelect', [date, which], () => {
+        // Rules or the selection may have changed while an asynchronous hook ran,
+        // and an approval for a range start does not cover the range end
+        if (finish() && this.canSelectDate(date) && step() === which) this.commitSelection(date);
       });
 
-      // Update attached input if exists
+      if (pending) {
+        this.setPendingDate(date);
+        pending.then(finish);
+      }
+    }
+
+    // Disabled days can only be picked as the checkout day of a pending range
+    canSelectDate(date) {
+      return !this.isDateDisabled(date) || (this.isRangePending() && this.isCheckoutDate(this.selectedStartDate, date));
+    }
+
+    commitSelection(date) {
+      if (this.config.mode === 'single') {
+        this.selectedDate = date;
+        this.updateDisplay();
+        this.announce('selected', date);
+        this.triggerChange();
+
+        if (this.shouldCloseOnSelect()) {
+          this.hide();
+        }
+      } else if (this.config.mode === 'multiple') {
+        this.handleMultipleSelection(date);
+      } else {
+        this.handleRangeSelection(date);
+      }
+    }
+
+    // Toggle a date in 'multiple' mode, respecting maxSelections
+    handleMultipleSelection(date) {
+      const index = this.selectedDates.findIndex(selected => InfiDateUtils.isSameDay(date, selected));
+
+      if (index !== -1) {
+        this.selectedDates.splice(index, 1);
+        this.announce('deselected', date);
+      } else {
+        if (this.config.maxSelections && this.selectedDates.length >= this.config.maxSelections) {
+          return;
+        }
+        this.selectedDates.push(date);
+        this.selectedDates.sort((a, b) => a - b);
+        this.announce('selected', date);
+      }
+
+      this.updateDisplay();
+      this.triggerChange();
+    }
+
+    handleRangeSelection(date) {
+      this.hideMessage();
+
+      const startsRange = this.startsNewRange(date);
+
+      if (startsRange && this.isStartDisabled(date)) {
+        // Keep the current selection, the date cannot start a range
+        this.reportInvalid('disableStart', { start: date, end: null });
+        return;
+      }
+
+      if (startsRange) {
+        this.selectedStartDate = date;
+        this.selectedEndDate = null;
+      } else {
+        // Complete the range, resolving a rejected one per invalidRangeBehavior
+        const rangeError = this.getRangeError(this.selectedStartDate, date);
+        const endDate = rangeError ? this.resolveInvalidRange(rangeError, date) : date;
+
+        if (endDate) {
+          this.selectedEndDate = endDate;
+          this.announce('rangeEnd', endDate);
+          this.applyTimesToSelection();
+          this.triggerChange();
+
+          if (this.shouldCloseOnSelect() && !rangeError) {
+            this.hide();
+          }
+        }
+      }
+
+      this.updateDisplay();
+
+      if (!this.selectedEndDate) {
+        this.announce('rangeStart', this.selectedStartDate);
+      }
+    }
+
+    // A new range starts on the first click, after a complete range, or before the current start
+    startsNewRange(date) {
+      return !this.selectedStartDate || !!this.selectedEndDate ||
+        InfiDateUtils.iso(date) < InfiDateUtils.iso(this.selectedStartDate);
+    }
+
+    // Mark the day cell waiting for an asynchronous onBeforeSelect check
+    setPendingDate(date) {
+      const toggle = (day, pending) => {
+        const dayElement = day && this.container && this.container.querySelector(`.infidate-day[data-date="${InfiDateUtils.iso(day)}"]`);
+        if (!dayElement) return;
+
+        dayElement.classList.toggle('infidate-day--pending', pending);
+        if (pending) {
+          dayElement.setAttribute('aria-busy', 'true');
+        } else {
+          dayElement.removeAttribute('aria-busy');
+        }
+      };
+
+      toggle(this.pendingDate, false);
+      this.pendingDate = date;
+      toggle(date, true);
+    }
+
+    // Ask onBeforeSelect about several [date, which] picks in order and call proceed once all of them
+    // are allowed. Returns a Promise when a hook is asynchronous, otherwise null
+    runBeforeSelectSteps(steps, proceed) {
+      const ask = (index) => {
+        if (index === steps.length) {
+          proceed();
+          return null;
+        }
+
+        let next = null;
+        const pending = this.runBeforeHook('onBeforeSelect', steps[index], () => {
+          next = ask(index + 1);
+        });
+        return pending ? pending.then(() => next) : next;
+      };
+
+      return ask(0);
+    }
+
+    // Run an onBefore* hook (a function or an array of them) and call proceed unless one returns false
+    // or a Promise resolving to false. Returns the Promise when a hook is asynchronous, otherwise null
+    runBeforeHook(name, args, proceed) {
+      const hook = this.config[name];
+      let results;
+      try {
+        results = (Array.isArray(hook) ? hook : [hook])
+          .filter(fn => typeof fn === 'function')
+          .map(fn => fn(...args));
+      } catch (error) {
+        // A throwing hook cancels, like a rejected Promise
+        console.warn(`${name} failed, cancelling:`, error);
+        return null;
+      }
+
+      if (results.includes(false)) return null;
+
+      const pending = results.filter(result => result && typeof result.then === 'function');
+      if (!pending.length) {
+        proceed();
+        return null;
+      }
+
+      return Promise.all(pending)
+        .then(values => !values.includes(false), (error) => {
+          console.warn(`${name} failed, cancelling:`, error);
+          return false;
+        })
+        .then(allowed => {
+          // The picker may have been destroyed while waiting
+          if (allowed && this.container) proceed();
+          return allowed;
+        })
+        .catch(error => {
+          // Callers don't handle the Promise, so report a failing action here
+          console.error(`Action after ${name} failed:`, error);
+          return false;
+        });
+    }
+
+    // Range mode rules for the two ends of a range
+    isStartDisabled(date) {
+      return InfiDateUtils.isDateDisabled(date, this.config.disableStart);
+    }
+
+    isEndDisabled(date) {
+      return InfiDateUtils.isDateDisabled(date, this.config.disableEnd);
+    }
+
+    // Class for a day that cannot be used in the current step of a range selection
+    getRangeStepClass(date) {
+      if (this.config.mode !== 'range') return '';
+
+      if (this.isRangePending() && InfiDateUtils.iso(date) >= InfiDateUtils.iso(this.selectedStartDate)) {
+        return this.isEndDisabled(date) ? 'infidate-day--no-end' : '';
+      }
+      return this.isStartDisabled(date) ? 'infidate-day--no-start' : '';
+    }
+
+    // A range start is chosen and the end is still open
+    isRangePending() {
+      return this.config.mode === 'range' && !!this.selectedStartDate && !this.selectedEndDate;
+    }
+
+    setPreviewDate(date) {
+      if (InfiDateUtils.isSameDay(date, this.previewDate) || (!date && !this.previewDate)) return;
+
+      const previousIso = this.previewDate ? InfiDateUtils.iso(this.previewDate) : null;
+      this.previewDate = date;
+      if (!this.isRangePending() || !this.previewShown) {
+        this.updatePreview();
+        return;
+      }
+
+      // Only the days between the old and new preview ends change; their end marks stay as they are
+      const startIso = InfiDateUtils.iso(this.selectedStartDate);
+      const previewIso = date ? InfiDateUtils.iso(date) : null;
+      const bounds = [previousIso, previewIso].filter(Boolean).sort();
+      const fromIso = bounds.length === 2 ? bounds[0] : startIso;
+      const toIso = bounds[bounds.length - 1];
+
+      this.previewDescription.textContent = '';
+      this.container.querySelectorAll('.infidate-day[data-date]').forEach(dayElement => {
+        const dateIso = dayElement.dataset.date;
+        if (dateIso > startIso && dateIso >= fromIso && dateIso <= toIso) {
+          this.updatePreviewMarks(dayElement, previewIso);
+        }
+      });
+    }
+
+    // Highlight the tentative range, the night count and end days that would be rejected
+    updatePreview() {
+      const previewClasses = [
+        'infidate-day--preview',
+        'infidate-day--preview-end',
+        'infidate-day--preview-invalid',
+        'infidate-day--invalid-end',
+        'infidate-day--checkout'
+      ];
+      const pending = this.isRangePending();
+
+      if (!pending) {
+        this.previewDate = null;
+        if (!this.previewShown) return; // Nothing to clean up
+      }
+      this.previewShown = pending;
+
+      const dayElements = this.container.querySelectorAll('.infidate-day[data-date]');
+
+      const startIso = pending ? InfiDateUtils.iso(this.selectedStartDate) : null;
+      const previewIso = this.previewDate ? InfiDateUtils.iso(this.previewDate) : null;
+      this.previewDescription.textContent = '';
+
+      dayElements.forEach(dayElement => {
+        dayElement.classList.remove(...previewClasses);
+        dayElement.removeAttribute('data-preview');
+        dayElement.removeAttribute('aria-describedby');
+        if (dayElement.classList.contains('infidate-day--disabled')) {
+          dayElement.setAttribute('aria-disabled', 'true');
+        }
+
+        if (!pending) return;
+
+        const dateIso = dayElement.dataset.date;
+        if (dateIso <= startIso) return;
+
+        const date = InfiDateUtils.parseDate(dateIso);
+        const invalid = !this.isValidRangeEnd(this.selectedStartDate, date);
+
+        if (invalid) {
+          dayElement.classList.add('infidate-day--invalid-end');
+        } else if (this.isDateDisabledCached(date)) {
+          // Disabled, but offered as the checkout day
+          dayElement.classList.add('infidate-day--checkout');
+          dayElement.removeAttribute('aria-disabled');
+        }
+
+        this.updatePreviewMarks(dayElement, previewIso);
+      });
+    }
+
+    // Mark a day after the range start as inside the tentative range, as its end or neither
+    updatePreviewMarks(dayElement, previewIso) {
+      const dateIso = dayElement.dataset.date;
+      const isEnd = dateIso === previewIso;
+
+      dayElement.classList.toggle('infidate-day--preview', !!previewIso && dateIso < previewIso);
+      dayElement.classList.toggle('infidate-day--preview-end', isEnd);
+      dayElement.classList.toggle('infidate-day--preview-invalid',
+        isEnd && dayElement.classList.contains('infidate-day--invalid-end'));
+
+      if (!isEnd) {
+        dayElement.removeAttribute('data-preview');
+        dayElement.removeAttribute('aria-describedby');
+        return;
+      }
+
+      const date = InfiDateUtils.parseDate(dateIso);
+      const nights = InfiDateUtils.daysDiff(InfiDateUtils.startOfDay(this.selectedStartDate), date);
+      const label = this.locale.labels[nights === 1 ? 'night' : 'nights'];
+      dayElement.setAttribute('data-preview', label.replace('{count}', nights));
+
+      // The tooltip is drawn with CSS, so screen readers get the night count as the cell's description
+      this.previewDescription.textContent = label.replace('{count}', nights);
+      dayElement.setAttribute('aria-describedby', this.previewDescription.id);
+    }
+
+    // Close after a completed selection unless times still need to be picked
+    shouldCloseOnSelect() {
+      return this.config.closeOnSelect && !this.config.enableTime && this.config.displayMode !== 'inline';
+    }
+
+    // Check a range against disableEnd, allowDisabledInRange and minRangeDays/maxRangeDays,
+    // returning the violated rule or null
+    getRangeError(start, end) {
+      if (this.isEndDisabled(end)) return 'disableEnd';
+
+      if (!this.config.allowDisabledInRange) {
+        const blocked = this.getFirstBlockedDate(start, end);
+        if (blocked && InfiDateUtils.iso(end) > InfiDateUtils.iso(blocked)) return 'disabledInRange';
+      }
+      return this.getRangeLengthError(start, end);
+    }
+
+    // Whether a date can end a range from start: enabled (or the checkout day) and breaking no range rule
+    isValidRangeEnd(start, date) {
+      if (this.isDateDisabledCached(date) && !this.isCheckoutDate(start, date)) return false;
+      return !this.getRangeError(start, date);
+    }
+
+    // The first disabled date after start, when allowDisabledCheckout lets it end the range
+    isCheckoutDate(start, date) {
+      if (!this.config.allowDisabledCheckout) return false;
+      const blocked = this.getFirstBlockedDate(start, date);
+      return !!blocked && InfiDateUtils.isSameDay(blocked, date);
+    }
+
+    // First disabled date after start, or null if there is none up to until (by default the end of the
+    // last loaded month) or within maxRangeDays. The scan resumes where an earlier one stopped
+    getFirstBlockedDate(start, until = null) {
+      const startDay = InfiDateUtils.startOfDay(start);
+      const startIso = InfiDateUtils.iso(start);
+      const cached = this.blockedCache[startIso] || { blocked: null, scanned: 0 };
+      if (cached.blocked) return cached.blocked;
+
+      const lastMonth = this.loadedMonths.length
+        ? this.getMonthFromKey(this.loadedMonths[this.loadedMonths.length - 1])
+        : startDay;
+      const lastDay = until || new Date(lastMonth.getFullYear(), lastMonth.getMonth() + 1, 0);
+      const limit = Math.min(this.getRangeLimits(start).maxRangeDays - 1,
+        InfiDateUtils.daysDiff(startDay, InfiDateUtils.startOfDay(lastDay)));
+
+      for (let offset = cached.scanned + 1; offset <= limit; offset++) {
+        const date = InfiDateUtils.addDays(startDay, offset);
+        if (this.isDateDisabledCached(date)) {
+          cached.blocked = date;
+          break;
+        }
+        cached.scanned = offset;
+      }
+      this.blockedCache[startIso] = cached;
+      return cached.blocked;
+    }
+
+    // Check a range against minRangeDays/maxRangeDays, returning the violated option or null
+    getRangeLengthError(start, end) {
+      const daysDiff = InfiDateUtils.daysDiff(InfiDateUtils.startOfDay(start), InfiDateUtils.startOfDay(end));
+
+      const limits = this.getRangeLimits(start);
+
+      if (daysDiff < limits.minRangeDays - 1) return 'minRangeDays';
+      if (daysDiff > limits.maxRangeDays - 1) return 'maxRangeDays';
+      return null;
+    }
+
+    // Day limits for a range starting on start: the stricter of minRangeDays/maxRangeDays
+    // and minNights/maxNights, where a stay of n nights spans n + 1 days
+    getRangeLimits(start) {
+      const startIso = InfiDateUtils.iso(start);
+      if (!(startIso in this.rangeLimitsCache)) {
+        const minNights = this.resolveRangeLimit(this.config.minNights, start, 'minNights', null);
+        const maxNights = this.resolveRangeLimit(this.config.maxNights, start, 'maxNights', null);
+        const minDays = this.resolveRangeLimit(this.config.minRangeDays, start, 'minDays', 1);
+        const maxDays = this.resolveRangeLimit(this.config.maxRangeDays, start, 'maxDays', 365);
+
+        this.rangeLimitsCache[startIso] = {
+          minRangeDays: minNights === null ? minDays : Math.max(minDays, minNights + 1),
+          maxRangeDays: maxNights === null ? maxDays : Math.min(maxDays, maxNights + 1)
+        };
+      }
+      return this.rangeLimitsCache[startIso];
+    }
+
+    // A limit from a number, a (startDate) => number function, or the first rule whose
+    // { from, to } contains start and that sets key; the unit is the option's own
+    resolveRangeLimit(option, start, key, fallback) {
+      let limit = option;
+
+      if (typeof option === 'function') {
+        limit = option(InfiDateUtils.startOfDay(start));
+      } else if (Array.isArray(option)) {
+        const startIso = InfiDateUtils.iso(start);
+        const rule = option.find(candidate => {
+          if (!candidate || typeof candidate[key] !== 'number') return false;
+          const from = candidate.from ? InfiDateUtils.parseDate(candidate.from) : null;
+          const to = candidate.to ? InfiDateUtils.parseDate(candidate.to) : null;
+          return (!from || startIso >= InfiDateUtils.iso(from)) && (!to || startIso <= InfiDateUtils.iso(to));
+        });
+        limit = rule ? rule[key] : fallback;
+      }
+
+      return typeof limit === 'number' && !isNaN(limit) ? limit : fallback;
+    }
+
+    // Report a rejected range end and return the end date to use instead, or null to leave the range open
+    resolveInvalidRange(reason, date) {
+      const start = this.selectedStartDate;
+      const blocked = reason === 'disabledInRange' ? this.getFirstBlockedDate(start, date) : null;
+      const limit = reason === 'minRangeDays' || reason === 'maxRangeDays' ? this.getRangeLimits(start)[reason] : null;
+      const behavior = this.config.invalidRangeBehavior;
+
+      this.reportInvalid(reason, { start: start, end: date, limit: limit, blocked: blocked });
+
+      if (behavior === 'clamp') {
+        // Truncate before the blocked date (or on it, as a checkout day), or to the length limit
+        let clamped = null;
+        if (blocked) {
+          clamped = InfiDateUtils.addDays(blocked, this.config.allowDisabledCheckout ? 0 : -1);
+        } else if (limit !== null) {
+          clamped = InfiDateUtils.addDays(InfiDateUtils.startOfDay(start), limit - 1);
+        }
+        if (clamped && this.isValidRangeEnd(start, clamped)) return clamped;
+        return null;
+      }
+
+      if (behavior !== 'keep-start' && !this.isStartDisabled(date)) {
+        // 'reset': the clicked date starts a new range
+        this.selectedStartDate = date;
+      }
+      return null;
+    }
+
+    // Show the inline message for a rejected date and notify onInvalid
+    reportInvalid(reason, details) {
+      const { start, end } = details;
+      const limit = details.limit === undefined ? null : details.limit;
+
+      this.showMessage(this.locale.labels[reason].replace('{count}', limit));
+      this.triggerInvalid(reason, {
+        start: start,
+        end: end,
+        days: end ? InfiDateUtils.daysDiff(InfiDateUtils.startOfDay(start), InfiDateUtils.startOfDay(end)) + 1 : null,
+        limit: limit,
+        blocked: details.blocked || null,
+        behavior: this.config.invalidRangeBehavior
+      });
+    }
+
+    showMessage(text) {
+      if (!this.messageElement) return;
+      this.messageElement.textContent = text;
+      this.messageElement.hidden = false;
+    }
+
+    hideMessage() {
+      if (!this.messageElement || this.messageElement.hidden) return;
+      this.messageElement.textContent = '';
+      this.messageElement.hidden = true;
+    }
+
+    // Announce a selection through the live region
+    announce(labelKey, date) {
+      if (!this.liveRegion || !date) return;
+      this.liveRegion.textContent = this.locale.labels[labelKey].replace('{date}', this.formatAriaDate(date));
+    }
+
+    updateDisplay() {
+      this.refreshDisabledCache();
+
+      if (this.config.enableTime) {
+        this.applyTimesToSelection();
+        this.syncTimePanel();
+      }
+
+      // Update mounted day elements (placeholders are rendered fresh when mounted)
+      this.container.querySelectorAll('.infidate-day[data-date]').forEach(dayElement => {
+        this.updateDayElement(dayElement, InfiDateUtils.parseDate(dayElement.dataset.date));
+      });
+
+      this.updatePreview();
+      this.syncPresets();
+
+      // Update attached input if exists
       if (this.attachedElement && this.attachedElement.tagName === 'INPUT') {
         this.attachedElement.value = this.getFormattedValue();
+        this.setInputInvalid(false);
       }
+
+      this.syncFormState();
+    }
+
+    // Sync a day cell's state classes and ARIA attributes
+    updateDayElement(dayElement, date) {
+      // Reset classes, keeping the provider's
+      dayElement.className = 'infidate-day';
+      const entry = this.getDayEntry(date);
+      if (entry && entry.className) {
+        dayElement.classList.add(...String(entry.className).split(/\s+/).filter(Boolean));
+      }
+
+      // Add state classes and keep ARIA attributes in sync
+      const isDisabled = this.isDateDisabledCached(date);
+      const isSelected = !!this.isDateSelected(date);
+      const isToday = InfiDateUtils.isSameDay(date, new Date());
+
+      if (isDisabled) {
+        dayElement.classList.add('infidate-day--disabled');
+        dayElement.setAttribute('aria-disabled', 'true');
+      } else {
+        dayElement.removeAttribute('aria-disabled');
+      }
+
+      if (isSelected) {
+        dayElement.classList.add('infidate-day--selected');
+      }
+      dayElement.setAttribute('aria-selected', String(isSelected));
+
+      if (isToday) {
+        dayElement.classList.add('infidate-day--today');
+        dayElement.setAttribute('aria-current', 'date');
+      } else {
+        dayElement.removeAttribute('aria-current');
+      }
+
+      if (this.isDateInRange(date)) {
+        dayElement.classList.add('infidate-day--in-range');
+      }
+
+      const stepClass = this.getRangeStepClass(date);
+      if (stepClass) {
+        dayElement.classList.add(stepClass);
+      }
+
+      if (this.pendingDate && InfiDateUtils.isSameDay(date, this.pendingDate)) {
+        dayElement.classList.add('infidate-day--pending');
+      }
+    }
+
+    // Select the dates typed into the attached input (allowInput) once onBeforeSelect allows them,
+    // closing the picker afterwards when close is set; unparsable text, dates breaking a rule and
+    // vetoed dates leave the selection alone and mark the input invalid
+    applyInputValue(close = false) {
+      const text = this.attachedElement.value.trim();
+      const closeIfDone = () => {
+        if (close && this.isOpen && this.shouldCloseOnSelect()) this.hide();
+      };
+
+      if (text === this.getFormattedValue()) {
+        this.setInputInvalid(false);
+        closeIfDone();
+        return;
+      }
+
+      if (!text) {
+        this.clear();
+        closeIfDone();
+        return;
+      }
+
+      const dates = this.parseInputDates(text);
+      if (!dates || !this.areInputDatesValid(dates)) {
+        this.setInputInvalid(true);
+        return;
+      }
+
+      // Typing is a pick like a click, and replaces an unfinished asynchronous check
+      const request = {};
+      this.selectRequest = request;
+      this.setPendingDate(null);
+
+      const finish = () => {
+        if (this.selectRequest !== request) return false;
+        this.selectRequest = null;
+        this.setPendingDate(null);
+        return true;
+      };
+
+      let committed = false;
+      const steps = this.config.mode === 'range'
+        ? [[dates[0], 'start'], [dates[1], 'end']]
+        : dates.map(date => [date, 'date']);
+      const pending = this.runBeforeSelectSteps(steps, () => {
+        if (!finish()) return;
+        committed = true;
+
+        // Rules may have changed while an asynchronous hook ran
+        const applied = this.applyInputDates(dates);
+        this.setInputInvalid(!applied);
+        if (applied) {
+          this.jumpToDate(dates[0]);
+          closeIfDone();
+        }
+      });
+
+      if (pending) {
+        this.setPendingDate(dates[0]);
+        pending.then(() => {
+          if (finish() && this.container) this.setInputInvalid(true); // Vetoed
+        });
+      } else if (!committed) {
+        finish();
+        this.setInputInvalid(true);
+      }
+    }
+
+    // Split typed text into dates written in one of the input formats. Separators may also appear inside
+    // dates ("Dec 24, 2025, Dec 25, 2025"), so the longest parsable run of pieces wins
+    parseInputDates(text) {
+      const formats = this.getInputFormats();
+      const parse = (part) => InfiDateUtils.parseDate(part.trim(), formats, this.locale, this.config.enableTime);
+
+      if (this.config.mode === 'single') {
+        const date = parse(text);
+        return date ? [date] : null;
+      }
+
+      let separator;
+      if (this.config.mode === 'range') {
+        separator = this.config.rangeSeparator !== null && this.config.rangeSeparator !== undefined
+          ? this.config.rangeSeparator
+          : this.locale.rangeSeparator;
+      } else {
+        separator = this.config.multipleSeparator !== null && this.config.multipleSeparator !== undefined
+          ? this.config.multipleSeparator
+          : this.locale.multipleSeparator;
+      }
+
+      // Ranges also accept dashes: "Dec 24 - Dec 28", "Dec 24–Dec 28"
+      const separatorPattern = separator.trim() ? `\\s*${InfiDateUtils.escapeRegExp(separator.trim())}\\s*` : '\\s+';
+      const dashPattern = this.config.mode === 'range' ? '|\\s+-\\s+|\\s*[\u2013\u2014]\\s*' : '';
+      const pieces = text.split(new RegExp(`(${separatorPattern}${dashPattern})`));
+
+      // Text pieces sit at even indexes, separators at odd ones
+      const parseFrom = (start) => {
+        if (start >= pieces.length) return [];
+
+        for (let end = pieces.length - 1; end >= start; end -= 2) {
+          const date = parse(pieces.slice(start, end + 1).join(''));
+          const rest = date ? parseFrom(end + 2) : null;
+          if (rest) return [date].concat(rest);
+        }
+        return null;
+      };
+
+      return parseFrom(0);
+    }
+
+    // Check parsed input dates against the current mode and rules
+    areInputDatesValid(dates) {
+      if (this.config.mode === 'single') {
+        return dates.length === 1 && !this.isDateDisabled(dates[0]);
+      }
+
+      if (this.config.mode === 'range') {
+        return dates.length === 2 && !this.getRangeProblem(dates[0], dates[1]);
+      }
+
+      if (dates.some(date => this.isDateDisabled(date))) return false;
+      return !this.config.maxSelections || dates.length <= this.config.maxSelections;
+    }
+
+    // Validate parsed input dates for the current mode and select them
+    applyInputDates(dates, options = {}) {
+      if (!this.areInputDatesValid(dates)) return false;
+
+      if (this.config.mode === 'single') return this.setDate(dates[0], options);
+      if (this.config.mode === 'range') return this.setRange(dates[0], dates[1], options);
+      return this.setDates(dates, options);
+    }
+
+    // Select the dates a server-rendered input starts with, written in an input format or ISO
+    selectInitialInputValue() {
+      const element = this.attachedElement;
+      if (!element || element.tagName !== 'INPUT' || !element.value.trim()) return false;
+
+      const dates = this.parseInputDates(element.value.trim());
+      return !!dates && this.applyInputDates(dates, { silent: true });
+    }
+
+    setInputInvalid(invalid) {
+      if (!this.attachedElement || !this.config.allowInput) return;
+
+      this.attachedElement.classList.toggle('infidate-input--invalid', invalid);
+      if (invalid) {
+        this.attachedElement.setAttribute('aria-invalid', 'true');
+        this.attachedElement.setCustomValidity(this.locale.labels.invalidDate);
+      } else {
+        this.attachedElement.removeAttribute('aria-invalid');
+        this.syncValidity();
+      }
+    }
+
+    getForm() {
+      if (!this.attachedElement) return null;
+      return this.attachedElement.form || this.attachedElement.closest('form');
+    }
+
+    // Keep hidden inputs and validity in sync with the selection
+    syncFormState() {
+      this.syncHiddenInputs();
+      this.syncValidity();
+
+      if (this.requiredMessageShown && !this.getRequiredMessage()) {
+        this.requiredMessageShown = false;
+        this.hideMessage();
+      }
+    }
+
+    // Create, update or remove the hidden ISO inputs for name, startName and endName
+    syncHiddenInputs() {
+      if (!this.attachedElement) return;
+
+      ['name', 'startName', 'endName'].forEach(key => {
+        const name = key === 'name' || this.config.mode === 'range' ? this.config[key] : null;
+        let input = this.hiddenInputs[key];
+
+        if (!name) {
+          if (input) {
+            input.remove();
+            delete this.hiddenInputs[key];
+          }
+          return;
+        }
+
+        if (!input) {
+          input = document.createElement('input');
+          input.type = 'hidden';
+          input.disabled = this.attachedElement.disabled === true;
+          if (this.attachedElement.tagName === 'INPUT') {
+            const previous = Object.values(this.hiddenInputs).pop() || this.attachedElement;
+            previous.insertAdjacentElement('afterend', input);
+          } else {
+            this.attachedElement.appendChild(input);
+          }
+          this.hiddenInputs[key] = input;
+        }
+
+        input.name = name;
+        input.value = this.getHiddenInputValue(key);
+      });
+    }
+
+    // ISO date, plus 'THH:mm' when enableTime is on
+    getHiddenInputValue(key) {
+      const iso = (date) => {
+        if (!date) return '';
+        return this.config.enableTime ? `${InfiDateUtils.iso(date)}T${InfiDateUtils.formatDate(date, 'HH:mm', null, true)}` : InfiDateUtils.iso(date);
+      };
+
+      if (key === 'startName') return iso(this.selectedStartDate);
+      if (key === 'endName') return iso(this.selectedEndDate);
+
+      if (this.config.mode === 'single') return iso(this.selectedDate);
+      if (this.config.mode === 'multiple') return this.selectedDates.map(iso).join(',');
+      return this.hasCompleteSelection() ? `${iso(this.selectedStartDate)}/${iso(this.selectedEndDate)}` : '';
+    }
+
+    // Report a missing or half-finished selection through the input's constraint validation
+    syncValidity() {
+      const element = this.attachedElement;
+      if (!element || typeof element.setCustomValidity !== 'function') return;
+      if (element.classList.contains('infidate-input--invalid')) return;
+
+      element.setCustomValidity(this.getRequiredMessage());
+    }
+
+    // The localized required message while a required selection is incomplete, or ''
+    getRequiredMessage() {
+      const element = this.attachedElement;
+      if (!this.config.required && !(element && element.required)) return '';
+      if (this.hasCompleteSelection()) return '';
+      return this.config.mode === 'range' ? this.locale.labels.requiredRange : this.locale.labels.required;
+    }
+
+    // Cancel a submit that constraint validation could not block: readonly inputs and
+    // inline containers are barred from it, so setCustomValidity alone never stops them
+    handleRequiredSubmit(e) {
+      const element = this.attachedElement;
+      if (element.willValidate || this.isDisabled()) return;
+      if (e.target.noValidate || (e.submitter && e.submitter.formNoValidate)) return;
+
+      const message = this.getRequiredMessage();
+      if (!message) return;
+
+      e.preventDefault();
+      this.showMessage(message);
+      this.requiredMessageShown = true;
+
+      if (this.config.displayMode === 'inline') {
+        const dayElement = this.getFocusableDayElement();
+        if (dayElement) dayElement.focus();
+      } else {
+        this.show();
+      }
+    }
+
+    // The picker follows the disabled state of its input and fieldsets. Readonly counts as set by
+    // disableWhenReadonly, by default only with allowInput: otherwise it is the usual way to keep the
+    // on-screen keyboard closed
+    isDisabled() {
+      const element = this.attachedElement;
+      if (!element) return false;
+      if (element.tagName === 'INPUT') {
+        const readonlyDisables = this.config.disableWhenReadonly === null
+          ? this.config.allowInput
+          : this.config.disableWhenReadonly;
+        return element.matches(':disabled') || (!!readonlyDisables && element.readOnly);
+      }
+      return !!element.closest('fieldset[disabled]');
+    }
+
+    syncDisabledState() {
+      const disabled = this.isDisabled();
+
+      this.container.classList.toggle('infidate-picker--disabled', disabled);
+      if (disabled) {
+        this.calendar.setAttribute('aria-disabled', 'true');
+      } else {
+        this.calendar.removeAttribute('aria-disabled');
+      }
+
+      // Disabled inputs are not submitted, so neither are their hidden values
+      if (this.attachedElement && this.attachedElement.tagName === 'INPUT') {
+        Object.values(this.hiddenInputs).forEach(input => {
+          input.disabled = this.attachedElement.disabled;
+        });
+      }
+
+      if (disabled && this.isOpen && this.config.displayMode !== 'inline') {
+        this.closePicker();
+      }
+    }
+
+    // Watch the input and every fieldset around it for disabled/readonly changes
+    setupDisabledObserver() {
+      if (!this.attachedElement || typeof MutationObserver === 'undefined') return;
+
+      this.disabledObserver = new MutationObserver(() => this.syncDisabledState());
+
+      let element = this.attachedElement;
+      while (element) {
+        this.disabledObserver.observe(element, { attributes: true, attributeFilter: ['disabled', 'readonly'] });
+        element = element.parentElement ? element.parentElement.closest('fieldset') : null;
+      }
+    }
+
+    captureSelection() {
+      const copy = (date) => date ? new Date(date) : null;
+
+      return {
+        date: copy(this.selectedDate),
+        start: copy(this.selectedStartDate),
+        end: copy(this.selectedEndDate),
+        dates: this.selectedDates.map(copy)
+      };
+    }
+
+    restoreInitialSelection() {
+      if (!this.container || !this.initialSelection) return;
+
+      const unchanged = this.isSameSelection(this.captureSelection(), this.initialSelection);
+      const copy = (date) => date ? new Date(date) : null;
+      this.selectedDate = copy(this.initialSelection.date);
+      this.selectedStartDate = copy(this.initialSelection.start);
+      this.selectedEndDate = copy(this.initialSelection.end);
+      this.selectedDates = this.initialSelection.dates.map(copy);
+      this.previewDate = null;
+      this.hideMessage();
+      this.updateDisplay(); // Rewrites the input value the reset put back
+
+      if (!unchanged) {
+        this.triggerChange();
+      }
+    }
+
+    // Compare two captureSelection() snapshots, including times
+    isSameSelection(a, b) {
+      const same = (x, y) => (x ? x.getTime() : null) === (y ? y.getTime() : null);
+      return same(a.date, b.date) && same(a.start, b.start) && same(a.end, b.end) &&
+        a.dates.length === b.dates.length && a.dates.every((date, index) => same(date, b.dates[index]));
+    }
+
+    // Format a single date using the configured displayFormat and locale
+    formatDisplayDate(date, includeTime = true) {
+      if (!date) return null;
+      return InfiDateUtils.formatDate(date, this.getDisplayFormat(includeTime), this.locale, this.config.enableTime);
+    }
+
+    // Explicit displayFormat, or the locale's date format plus its time format when enableTime is on
+    getDisplayFormat(includeTime = true) {
+      if (this.config.displayFormat) return this.config.displayFormat;
+      if (!includeTime || !this.config.enableTime) return this.locale.displayFormat;
+      return `${this.locale.displayFormat} ${this.getTimeFormat()}`;
+    }
+
+    // Time format appended to the locale's date formats when enableTime is on
+    getTimeFormat() {
+      if (this.config.time24hr === true) return 'HH:mm';
+      if (this.config.time24hr === false) return 'hh:mm A';
+      return this.locale.timeFormat;
+    }
+
+    // Formats tried for typed dates: the display format, then the locale's numeric order
+    // and the month name after or before the day ("24 Dec 2025", "Dec 24, 2025")
+    getInputFormats() {
+      const time = this.config.enableTime ? ` ${this.getTimeFormat()}` : '';
+      const fallbacks = [this.locale.numericFormat, 'D MMM YYYY', 'MMM D YYYY'].map(format => `${format}${time}`);
+      return [this.getDisplayFormat()].concat(fallbacks);
     }
 
     getFormattedValue() {
       if (this.config.mode === 'single') {
-        return this.selectedDate ? InfiDateUtils.formatDate(this.selectedDate, 'MMM D, YYYY') : '';
+        return this.selectedDate ? this.formatDisplayDate(this.selectedDate) : '';
+      } else if (this.config.mode === 'multiple') {
+        const separator = this.config.multipleSeparator !== null && this.config.multipleSeparator !== undefined
+          ? this.config.multipleSeparator
+          : this.locale.multipleSeparator;
+        return this.selectedDates.map(date => this.formatDisplayDate(date)).join(separator);
       } else {
         if (this.selectedStartDate && this.selectedEndDate) {
-          const start = InfiDateUtils.formatDate(this.selectedStartDate, 'MMM D, YYYY');
-          const end = InfiDateUtils.formatDate(this.selectedEndDate, 'MMM D, YYYY');
-          return `${start} to ${end}`;
+          const start = this.formatDisplayDate(this.selectedStartDate);
+          const end = this.formatDisplayDate(this.selectedEndDate);
+          const separator = this.config.rangeSeparator !== null && this.config.rangeSeparator !== undefined
+            ? this.config.rangeSeparator
+            : this.locale.rangeSeparator;
+          return `${start}${separator}${end}`;
         } else if (this.selectedStartDate) {
-          return InfiDateUtils.formatDate(this.selectedStartDate, 'MMM D, YYYY');
+          return this.formatDisplayDate(this.selectedStartDate);
         }
         return '';
       }
     }
 
     triggerChange() {
-      if (this.config.onChange) {
-        const data = this.getChangeData();
-        // Support multiple callbacks (array) or single callback
-        if (Array.isArray(this.config.onChange)) {
-          this.config.onChange.forEach(callback => {
-            if (typeof callback === 'function') {
-              callback(data);
-            }
-          });
-        } else if (typeof this.config.onChange === 'function') {
-          this.config.onChange(data);
-        }
-      }
+      const data = this.getChangeData();
+      this.emit('change', [data], data);
+    }
+
+    triggerInvalid(reason, details) {
+      this.emit('invalid', [reason, details], { reason, ...details });
     }
 
     triggerOpen() {
-      if (this.config.onOpen) {
-        // Support multiple callbacks (array) or single callback
-        if (Array.isArray(this.config.onOpen)) {
-          this.config.onOpen.forEach(callback => {
-            if (typeof callback === 'function') {
-              callback();
-            }
-          });
-        } else if (typeof this.config.onOpen === 'function') {
-          this.config.onOpen();
-        }
-      }
+      this.emit('open', [], {});
     }
 
     triggerClose() {
-      if (this.config.onClose) {
-        // Support multiple callbacks (array) or single callback
-        if (Array.isArray(this.config.onClose)) {
-          this.config.onClose.forEach(callback => {
-            if (typeof callback === 'function') {
-              callback();
-            }
-          });
-        } else if (typeof this.config.onClose === 'function') {
-          this.config.onClose();
+      this.emit('close', [], {});
+    }
+
+    triggerMonthChange(year, month) {
+      this.emit('monthChange', [year, month], { year, month });
+    }
+
+    triggerYearChange(year) {
+      this.emit('yearChange', [year], { year });
+    }
+
+    // Fires for every rendered day, so it has no DOM event
+    triggerDayCreate(dayElement, date) {
+      const selectedDates = this.getSelectedDatesArray();
+      const dateStr = this.formatDisplayDate(date, false);
+      this.emit('dayCreate', [selectedDates, dateStr, this, dayElement], null);
+    }
+
+    // Whether an on<Event> callback or on() handler is set; events without a DOM event are skipped otherwise
+    hasListeners(event) {
+      return !!(this.config[`on${event.charAt(0).toUpperCase()}${event.slice(1)}`] || this.handlers[event]);
+    }
+
+    // Call the on<Event> config callback (a function or an array of them) and the on() handlers,
+    // then dispatch a bubbling infidate:<event> CustomEvent on the attached element (or the container)
+    emit(event, args, detail) {
+      const callback = this.config[`on${event.charAt(0).toUpperCase()}${event.slice(1)}`];
+      const callbacks = Array.isArray(callback) ? callback : [callback];
+
+      // A throwing listener is reported without stopping the others or the DOM event
+      const call = (fn) => {
+        try {
+          fn(...args);
+        } catch (error) {
+          console.error(`InfiDate ${event} listener failed:`, error);
         }
+      };
+
+      callbacks.forEach(fn => {
+        if (typeof fn === 'function') {
+          call(fn);
+        }
+      });
+
+      // Copy so handlers can call off() or once() handlers can be dropped while iterating
+      (this.handlers[event] || []).slice().forEach(entry => {
+        if (entry.once) this.removeHandlerEntry(event, entry);
+        call(entry.handler);
+      });
+
+      const target = this.attachedElement || this.container;
+      if (detail && target && typeof CustomEvent === 'function') {
+        target.dispatchEvent(new CustomEvent(`infidate:${event.toLowerCase()}`, {
+          bubbles: true,
+          detail: { ...detail, picker: this }
+        }));
       }
     }
 
-    triggerMonthChange(year, month) {
-      if (this.config.onMonthChange) {
-        // Support multiple callbacks (array) or single callback
-        if (Array.isArray(this.config.onMonthChange)) {
-          this.config.onMonthChange.forEach(callback => {
-            if (typeof callback === 'function') {
-              callback(year, month);
-            }
-          });
-        } else if (typeof this.config.onMonthChange === 'function') {
-          this.config.onMonthChange(year, month);
-        }
+    // Subscribe to 'change', 'open', 'close', 'monthChange', 'yearChange', 'dayCreate' or 'invalid'.
+    // Handlers get the same arguments as the matching on<Event> callback
+    on(event, handler, options = {}) {
+      if (!InfiDateEvents.includes(event)) {
+        console.warn(`Unknown event: ${event}. Expected one of ${InfiDateEvents.join(', ')}.`);
+        return this;
       }
+      if (typeof handler !== 'function') {
+        console.warn(`on('${event}') requires a handler function.`);
+        return this;
+      }
+
+      (this.handlers[event] = this.handlers[event] || []).push({ handler, once: !!options.once });
+      return this;
     }
 
-    triggerYearChange(year) {
-      if (this.config.onYearChange) {
-        // Support multiple callbacks (array) or single callback
-        if (Array.isArray(this.config.onYearChange)) {
-          this.config.onYearChange.forEach(callback => {
-            if (typeof callback === 'function') {
-              callback(year);
-            }
-          });
-        } else if (typeof this.config.onYearChange === 'function') {
-          this.config.onYearChange(year);
-        }
+    once(event, handler) {
+      return this.on(event, handler, { once: true });
+    }
+
+    // Remove a handler, or every handler for the event when none is given
+    off(event, handler) {
+      if (!this.handlers[event]) return this;
+
+      this.handlers[event] = handler ? this.handlers[event].filter(entry => entry.handler !== handler) : [];
+      if (!this.handlers[event].length) {
+        delete this.handlers[event];
       }
+      return this;
     }
 
-    triggerDayCreate(dayElement, date) {
-      if (this.config.onDayCreate) {
-        const selectedDates = this.getSelectedDatesArray();
-        const dateStr = InfiDateUtils.formatDate(date, 'MMM D, YYYY');
-
-        // Support multiple callbacks (array) or single callback
-        if (Array.isArray(this.config.onDayCreate)) {
-          this.config.onDayCreate.forEach(callback => {
-            if (typeof callback === 'function') {
-              callback(selectedDates, dateStr, this, dayElement);
-            }
-          });
-        } else if (typeof this.config.onDayCreate === 'function') {
-          this.config.onDayCreate(selectedDates, dateStr, this, dayElement);
-        }
+    // Remove a single registration, keeping other registrations of the same handler
+    removeHandlerEntry(event, entry) {
+      if (!this.handlers[event]) return;
+
+      this.handlers[event] = this.handlers[event].filter(candidate => candidate !== entry);
+      if (!this.handlers[event].length) {
+        delete this.handlers[event];
       }
     }
 
     getSelectedDatesArray() {
       if (this.config.mode === 'single') {
         return this.selectedDate ? [this.selectedDate] : [];
+      } else if (this.config.mode === 'multiple') {
+        return this.selectedDates.slice();
       } else {
         const dates = [];
         if (this.selectedStartDate) dates.push(this.selectedStartDate);
@@ -914,19 +3555,35 @@
     }
 
     getChangeData() {
+      const time = (date) => date ? InfiDateUtils.formatDate(date, 'HH:mm', null, true) : null;
+
       if (this.config.mode === 'single') {
-        return {
+        const data = {
           date: this.selectedDate,
-          formatted: this.selectedDate ? InfiDateUtils.formatDate(this.selectedDate, 'MMM D, YYYY') : null,
+          formatted: this.formatDisplayDate(this.selectedDate),
           iso: this.selectedDate ? InfiDateUtils.iso(this.selectedDate) : null
         };
+
+        if (this.config.enableTime) {
+          data.time = time(this.selectedDate);
+        }
+
+        return data;
+      } else if (this.config.mode === 'multiple') {
+        return {
+          dates: this.selectedDates.slice(),
+          formatted: this.selectedDates.map(date => this.formatDisplayDate(date)),
+          iso: this.selectedDates.map(date => InfiDateUtils.iso(date)),
+          count: this.selectedDates.length,
+          ...(this.config.enableTime ? { time: this.selectedDates.map(time) } : {})
+        };
       } else {
         const data = {
           start: this.selectedStartDate,
           end: this.selectedEndDate,
           formatted: {
-            start: this.selectedStartDate ? InfiDateUtils.formatDate(this.selectedStartDate, 'MMM D, YYYY') : null,
-            end: this.selectedEndDate ? InfiDateUtils.formatDate(this.selectedEndDate, 'MMM D, YYYY') : null
+            start: this.formatDisplayDate(this.selectedStartDate),
+            end: this.formatDisplayDate(this.selectedEndDate)
           },
           iso: {
             start: this.selectedStartDate ? InfiDateUtils.iso(this.selectedStartDate) : null,
@@ -934,8 +3591,18 @@
           }
         };
 
+        if (this.config.enableTime) {
+          data.time = {
+            start: time(this.selectedStartDate),
+            end: time(this.selectedEndDate)
+          };
+        }
+
         if (this.selectedStartDate && this.selectedEndDate) {
-          data.nights = InfiDateUtils.daysDiff(this.selectedStartDate, this.selectedEndDate);
+          data.nights = InfiDateUtils.daysDiff(
+            InfiDateUtils.startOfDay(this.selectedStartDate),
+            InfiDateUtils.startOfDay(this.selectedEndDate)
+          );
           data.days = data.nights + 1;
         }
 
@@ -943,6 +3610,151 @@
       }
     }
 
+    // Set the selected date in single mode; pass { silent: true } to skip onChange
+    setDate(date, options = {}) {
+      if (this.config.mode !== 'single') {
+        console.warn('setDate() requires single mode. Use setRange() in range mode.');
+        return false;
+      }
+
+      const parsed = InfiDateUtils.parseDate(date);
+      if (!parsed || this.isDateDisabled(parsed)) {
+        console.warn(`Invalid or disabled date: ${date}`);
+        return false;
+      }
+
+      this.adoptTime(parsed, 'start');
+      this.selectedDate = parsed;
+      this.focusedDate = parsed;
+      this.updateDisplay();
+
+      if (!options.silent) {
+        this.triggerChange();
+      }
+      return true;
+    }
+
+    // Set a complete range in range mode; pass { silent: true } to skip onChange
+    setRange(start, end, options = {}) {
+      if (this.config.mode !== 'range') {
+        console.warn('setRange() requires range mode. Use setDate() in single mode.');
+        return false;
+      }
+
+      const startDate = InfiDateUtils.parseDate(start);
+      const endDate = InfiDateUtils.parseDate(end);
+
+      const problem = this.getRangeProblem(startDate, endDate);
+      if (problem) {
+        console.warn(`${problem}: ${start} to ${end}`);
+        return false;
+      }
+
+      this.adoptTime(startDate, 'start');
+      this.adoptTime(endDate, 'end');
+      this.selectedStartDate = startDate;
+      this.selectedEndDate = endDate;
+      this.focusedDate = startDate;
+      this.updateDisplay();
+
+      if (!options.silent) {
+        this.triggerChange();
+      }
+      return true;
+    }
+
+    // Why a range cannot be selected, or null when it can
+    getRangeProblem(startDate, endDate) {
+      if (!startDate || !endDate || endDate < startDate) {
+        return 'Invalid range';
+      }
+
+      if (this.isDateDisabled(startDate) || (this.isDateDisabled(endDate) && !this.isCheckoutDate(startDate, endDate))) {
+        return 'Range includes a disabled start or end date';
+      }
+
+      if (this.isStartDisabled(startDate)) {
+        return 'Range violates disableStart';
+      }
+
+      const rangeError = this.getRangeError(startDate, endDate);
+      return rangeError ? `Range violates ${rangeError}` : null;
+    }
+
+    // Set the selected dates in 'multiple' mode; pass { silent: true } to skip onChange
+    setDates(dates, options = {}) {
+      if (this.config.mode !== 'multiple') {
+        console.warn('setDates() requires multiple mode.');
+        return false;
+      }
+
+      const parsed = (dates || []).map(date => InfiDateUtils.parseDate(date));
+      if (parsed.some(date => !date || this.isDateDisabled(date))) {
+        console.warn('setDates() received an invalid or disabled date.');
+        return false;
+      }
+
+      if (this.config.maxSelections && parsed.length > this.config.maxSelections) {
+        console.warn(`setDates() received more than maxSelections (${this.config.maxSelections}) dates.`);
+        return false;
+      }
+
+      // Sort and drop duplicate days
+      this.selectedDates = parsed
+        .sort((a, b) => a - b)
+        .filter((date, index, list) => index === 0 || !InfiDateUtils.isSameDay(date, list[index - 1]));
+      this.updateDisplay();
+
+      if (!options.silent) {
+        this.triggerChange();
+      }
+      return true;
+    }
+
+    // Remove the current selection; pass { silent: true } to skip onChange
+    clear(options = {}) {
+      this.selectedDate = null;
+      this.selectedStartDate = null;
+      this.selectedEndDate = null;
+      this.selectedDates = [];
+      this.hideMessage();
+      this.updateDisplay();
+
+      if (!options.silent) {
+        this.triggerChange();
+      }
+    }
+
+    // Current selection in the same shape as the onChange payload
+    getValue() {
+      return this.getChangeData();
+    }
+
+    // Load the month containing a date and scroll it to the top of the list
+    jumpToDate(date) {
+      const parsed = InfiDateUtils.parseDate(date);
+      if (!parsed) return false;
+
+      this.ensureMonthLoaded(parsed);
+
+      const monthDate = InfiDateUtils.getFirstDayOfMonth(parsed);
+      const monthElement = this.monthsContainer.querySelector(
+        `.infidate-month[data-month="${monthDate.getFullYear()}-${monthDate.getMonth()}"]`
+      );
+      if (!monthElement) return false;
+
+      this.mountMonth(monthElement);
+
+      // Hidden pickers scroll once they are shown
+      if (this.monthsContainer.clientHeight) {
+        this.scrollToMonth(monthDate);
+        this.updateVirtualWindow();
+      } else {
+        this.pendingScrollMonth = monthDate;
+      }
+      return true;
+    }
+
     switchMode(newMode) {
       if (newMode === this.config.mode) return;
 
@@ -952,6 +3764,7 @@
       this.selectedDate = null;
       this.selectedStartDate = null;
       this.selectedEndDate = null;
+      this.selectedDates = [];
 
       // Update mode buttons
       const modeButtons = this.container.querySelectorAll('.infidate-mode-btn');
@@ -959,15 +3772,36 @@
         btn.classList.toggle('active', btn.dataset.mode === newMode);
       });
 
+      // Range mode has separate start and end times, and presets only apply to ranges
+      this.rebuildTimePanel();
+      this.rebuildPresets();
+
       this.updateDisplay();
     }
 
+    // Open the picker unless onBeforeOpen cancels it; an inline calendar is always open
     show() {
       if (this.isOpen) return;
 
+      if (this.config.displayMode === 'inline') {
+        this.openPicker();
+        return;
+      }
+
+      if (this.isDisabled()) return;
+      this.runToggleHook('onBeforeOpen', () => this.openPicker());
+    }
+
+    openPicker() {
+      if (this.isOpen) return;
+
       this.isOpen = true;
       this.container.classList.add('infidate-picker--open');
 
+      if (this.attachedElement && this.config.displayMode !== 'inline') {
+        this.attachedElement.setAttribute('aria-expanded', 'true');
+      }
+
       if (this.config.displayMode === 'dropdown') {
         this.positionDropdown();
       }
@@ -976,15 +3810,61 @@
         document.body.style.overflow = 'hidden';
       }
 
+      this.applyPendingScroll();
+      this.updateVirtualWindow();
+
+      // Move focus into the day grid so it can be navigated with the keyboard,
+      // unless the input is being typed into
+      const typing = this.config.allowInput && this.attachedElement && document.activeElement === this.attachedElement;
+      if (this.config.displayMode !== 'inline' && !typing) {
+        const dayElement = this.getFocusableDayElement();
+        if (dayElement) {
+          this.setFocusableDay(dayElement, InfiDateUtils.parseDate(dayElement.dataset.date));
+          dayElement.focus();
+        }
+      }
+
       this.triggerOpen();
     }
 
+    // Close the picker unless onBeforeClose cancels it
     hide() {
       if (!this.isOpen) return;
+      this.runToggleHook('onBeforeClose', () => this.closePicker());
+    }
+
+    // Run onBeforeOpen or onBeforeClose, ignoring repeated requests (another click, another Escape)
+    // while an asynchronous check is still running
+    runToggleHook(name, proceed) {
+      if (this.pendingToggle) return;
+
+      const pending = this.runBeforeHook(name, [], proceed);
+      if (pending) {
+        this.pendingToggle = pending;
+        pending.then(() => {
+          this.pendingToggle = null;
+        });
+      }
+    }
+
+    closePicker() {
+      if (!this.isOpen) return;
 
       this.isOpen = false;
+
+      // Return focus to the attached input if it was inside the picker
+      const hadFocus = this.container.contains(document.activeElement);
+
       this.container.classList.remove('infidate-picker--open');
 
+      if (this.attachedElement && this.config.displayMode !== 'inline') {
+        this.attachedElement.setAttribute('aria-expanded', 'false');
+      }
+
+      if (hadFocus && this.attachedElement && typeof this.attachedElement.focus === 'function') {
+        this.attachedElement.focus();
+      }
+
       if (this.config.displayMode === 'modal') {
         document.body.style.overflow = '';
       }
@@ -1041,11 +3921,219 @@
       this.config.theme = theme;
     }
 
-    destroy() {
-      // Remove all event listeners
+    // Update configuration after creation: set({ disable: [...] }) or set('theme', 'dark')
+    set(options, value) {
+      const updates = typeof options === 'string' ? { [options]: value } : { ...options };
+      const changed = (key) => key in updates && updates[key] !== this.config[key];
+
+      const modeChanged = changed('mode');
+      const displayModeChanged = changed('displayMode');
+      const localeChanged = changed('locale');
+      const headerChanged = ['title', 'subtitle', 'allowModeSwitch', 'showNavigation', 'minYear', 'maxYear'].some(changed);
+      const rulesChanged = ['disable', 'enable', 'disableStart', 'disableEnd', 'minDate', 'maxDate', 'minRangeDays', 'maxRangeDays',
+        'minNights', 'maxNights', 'allowDisabledInRange', 'allowDisabledCheckout'].some(changed);
+      const formatChanged = ['displayFormat', 'rangeSeparator'].some(changed);
+      const backdropChanged = changed('showBackdrop');
+      const timeChanged = ['enableTime', 'time24hr', 'timeStep', 'minTime', 'maxTime'].some(changed);
+      const modeSwitchChanged = changed('allowModeSwitch');
+      const allowInputChanged = changed('allowInput');
+      const readonlyChanged = ['allowInput', 'disableWhenReadonly'].some(changed);
+      const dayDataChanged = changed('dayData');
+      const presetsChanged = ['presets', 'presetsPosition'].some(changed);
+      const formChanged = ['name', 'startName', 'endName', 'required'].some(changed);
+
+      // Theme and mode have their own setters
+      if ('theme' in updates) {
+        this.setTheme(updates.theme);
+        delete updates.theme;
+      }
+      const newMode = updates.mode;
+      delete updates.mode;
+
+      // Close with the old display mode so its cleanup runs
+      if (displayModeChanged) {
+        if (this.isOpen) this.closePicker();
+        this.removeAttachedElementAria();
+      }
+
+      const previousDisplayMode = this.config.displayMode;
+      Object.assign(this.config, updates);
+
+      if (localeChanged) {
+        this.locale = InfiDateUtils.getLocale(this.config.locale);
+        this.container.setAttribute('lang', this.locale.intl);
+        this.container.setAttribute('dir', this.locale.dir);
+        this.calendar.setAttribute('aria-label', this.locale.labels.calendar);
+        this.rerenderMonths();
+      }
+
+      if (displayModeChanged) {
+        this.applyDisplayMode(previousDisplayMode);
+      } else if (backdropChanged) {
+        this.syncBackdrop();
+      }
+
+      if (headerChanged || displayModeChanged || localeChanged) {
+        this.rebuildHeader();
+      }
+
+      // The mode switch and typed input handlers are only bound when enabled
+      if (displayModeChanged || modeSwitchChanged || allowInputChanged) {
+        this.rebindEvents();
+      }
+
+      // Whether readonly disables the picker depends on disableWhenReadonly and allowInput
+      if (readonlyChanged) {
+        this.syncDisabledState();
+      }
+
+      if (rulesChanged) {
+        this.disabledCache = {};
+        this.blockedCache = {};
+        this.rangeLimitsCache = {};
+        this.syncNavigation();
+      }
+
+      if (dayDataChanged) {
+        this.reloadDayData();
+      }
+
+      if (presetsChanged || localeChanged) {
+        this.rebuildPresets();
+      }
+
+      if (timeChanged || (localeChanged && this.config.enableTime)) {
+        this.rebuildTimePanel();
+      }
+
+      if (modeChanged) {
+        this.switchMode(newMode);
+      } else if (rulesChanged || formatChanged || localeChanged || timeChanged || formChanged) {
+        this.updateDisplay();
+      }
+
+      if (displayModeChanged && this.config.displayMode === 'inline') {
+        this.show();
+      }
+
+      return this;
+    }
+
+    // Move the container and adjust markup for a new displayMode
+    applyDisplayMode(previousDisplayMode) {
+      const displayMode = this.config.displayMode;
+
+      this.container.classList.remove(`infidate-picker--${previousDisplayMode}`);
+      this.container.classList.add(`infidate-picker--${displayMode}`);
+
+      if (displayMode === 'inline' && this.attachedElement) {
+        this.attachedElement.appendChild(this.container);
+      } else if (this.container.parentNode !== document.body) {
+        document.body.appendChild(this.container);
+      }
+
+      // Drop dropdown positioning
+      ['position', 'top', 'left', 'zIndex'].forEach(prop => {
+        this.calendar.style[prop] = '';
+      });
+
+      if (displayMode === 'inline') {
+        this.calendar.removeAttribute('role');
+        this.calendar.removeAttribute('aria-modal');
+      } else {
+        this.calendar.setAttribute('role', 'dialog');
+        this.calendar.setAttribute('aria-modal', String(displayMode === 'modal'));
+      }
+
+      this.syncBackdrop();
+      this.setupAttachedElementAria();
+    }
+
+    syncBackdrop() {
+      const backdrop = this.container.querySelector('.infidate-backdrop');
+      if (backdrop) backdrop.remove();
+
+      if (this.config.displayMode === 'modal') {
+        this.container.insertAdjacentHTML('afterbegin', this.createBackdrop());
+      }
+    }
+
+    rebuildHeader() {
+      const content = this.container.querySelector('.infidate-content');
+      const header = content.querySelector('.infidate-header');
+      if (header) header.remove();
+
+      const headerHTML = this.createHeader();
+      if (headerHTML.trim()) {
+        content.insertAdjacentHTML('afterbegin', headerHTML);
+      }
+      this.syncNavigation();
+    }
+
+    // Re-render mounted months, e.g. after a locale change
+    rerenderMonths() {
+      this.monthsContainer.querySelectorAll('.infidate-month:not(.infidate-month--placeholder)').forEach(monthElement => {
+        this.renderMonth(monthElement, this.getMonthFromKey(monthElement.dataset.month));
+      });
+    }
+
+    removeEventListeners() {
       this.eventListeners.forEach(({ element, event, handler, options }) => {
         element.removeEventListener(event, handler, options);
       });
+      this.eventListeners = [];
+    }
+
+    rebindEvents() {
+      this.removeEventListeners();
+      this.setupInfiniteScroll();
+      this.bindEvents();
+    }
+
+    removeAttachedElementAria() {
+      if (!this.attachedElement || this.config.displayMode === 'inline') return;
+
+      ['aria-haspopup', 'aria-expanded', 'aria-controls'].forEach(attr => {
+        this.attachedElement.removeAttribute(attr);
+      });
+    }
+
+    destroy() {
+      pickerRegistry.delete(this);
+      autoInitPickers.forEach((picker, element) => {
+        if (picker === this) autoInitPickers.delete(element);
+      });
+
+      // Remove all event listeners
+      this.removeEventListeners();
+
+      // Stop tracking the visible month
+      if (this.monthObserver) {
+        this.monthObserver.disconnect();
+        this.monthObserver = null;
+      }
+
+      // Cancel pending dayData requests
+      if (this.dayDataController) {
+        this.dayDataController.abort();
+        this.dayDataController = null;
+      }
+
+      // Stop following the input's disabled state
+      if (this.disabledObserver) {
+        this.disabledObserver.disconnect();
+        this.disabledObserver = null;
+      }
+
+      // Remove hidden inputs and the validation message
+      Object.values(this.hiddenInputs).forEach(input => input.remove());
+      this.hiddenInputs = {};
+      if (this.attachedElement && typeof this.attachedElement.setCustomValidity === 'function') {
+        this.attachedElement.setCustomValidity('');
+      }
+
+      // Remove ARIA attributes added to the attached input
+      this.removeAttachedElementAria();
 
       // Remove container from DOM
       if (this.container && this.container.parentNode) {
@@ -1062,9 +4150,19 @@
       this.calendar = null;
       this.attachedElement = null;
       this.eventListeners = [];
+      this.handlers = {};
     }
   }
 
+  // Pickers created by InfiDate.init, by element, and the MutationObservers keeping them in sync, by root
+  const autoInitPickers = new Map();
+  const autoInitObservers = new Map();
+
+  // Options defaulting to null that take numbers, booleans or lists, so their data attributes are parsed
+  // like those of options with such defaults (the rest are text, e.g. data-infidate-title="2025")
+  const parsedNullOptions = ['minYear', 'maxYear', 'enable', 'disableWhenReadonly', 'time24hr',
+    'minNights', 'maxNights', 'maxSelections', 'presets'];
+
   // Main InfiDate API
   const InfiDate = {
     version: '1.0.0',
@@ -1077,31 +4175,86 @@
       maxDate: null,
       minYear: null,
       maxYear: null,
+      showNavigation: false,
+      allowInput: false,
+      name: null,
+      startName: null,
+      endName: null,
+      required: false,
+      disableWhenReadonly: null,
       theme: 'auto',
       disable: [],
       enable: null,
+      disableStart: [],
+      disableEnd: [],
       position: 'bottom',
       closeOnSelect: true,
       showBackdrop: true,
+      enableTime: false,
+      time24hr: null,
+      timeStep: 5,
+      defaultTime: '12:00',
+      defaultEndTime: null,
+      minTime: null,
+      maxTime: null,
       title: null,
       subtitle: null,
       minRangeDays: 1,
       maxRangeDays: 365,
+      minNights: null,
+      maxNights: null,
+      invalidRangeBehavior: 'reset',
+      allowDisabledInRange: true,
+      allowDisabledCheckout: false,
+      maxSelections: null,
+      multipleSeparator: null,
       allowModeSwitch: true,
       defaultToToday: false,
-      maxMonths: 72,
+      maxMonths: Infinity,
       initialMonths: 12,
+      initialDate: null,
       scrollThreshold: 150,
+      virtualize: true,
+      monthBuffer: 2,
+      locale: 'en',
+      displayFormat: null,
+      rangeSeparator: null,
+      presets: null,
+      presetsPosition: 'top',
+      dayData: null,
       onChange: null,
       onOpen: null,
       onClose: null,
       onMonthChange: null,
       onYearChange: null,
-      onDayCreate: null
+      onDayCreate: null,
+      onInvalid: null,
+      onBeforeSelect: null,
+      onBeforeOpen: null,
+      onBeforeClose: null
+    },
+
+    // Register a locale pack; partial packs are merged over the Intl-derived pack for that name
+    registerLocale: function(name, pack) {
+      const base = name === 'en' ? InfiDateLocales.en : InfiDateUtils.localeFromIntl(name);
+      InfiDateLocales[name] = InfiDateUtils.mergeLocale(base, pack || {});
+      return InfiDateLocales[name];
+    },
+
+    // Resolve a locale name or pack
+    getLocale: function(locale) {
+      return InfiDateUtils.getLocale(locale);
     },
 
     // Create a new datepicker instance
     create: function(target, config = {}) {
+      // One picker per element
+      const existing = this.getInstance(target || config.attachTo);
+      if (existing) {
+        console.warn('InfiDate.create(): element already has a picker, returning it. Call destroy() first to recreate it.');
+        return existing;
+      }
+
       const mergedConfig = { ...this.defaults, ...config };
 
       if (target) {
@@ -1111,6 +4264,119 @@
       return new InfiDatePicker(mergedConfig);
     },
 
+    // Create pickers for [data-infidate] elements inside root (defaults to the document), with options
+    // from data-infidate-* attributes over options.config. Pass { observe: true } to keep creating and
+    // destroying pickers as matching elements are added and removed
+    init: function(root, options = {}) {
+      if (root && typeof root !== 'string' && !root.nodeType) {
+        options = root;
+        root = null;
+      }
+
+      const scope = typeof root === 'string' ? document.querySelector(root) : (root || document);
+      if (!scope) {
+        console.warn(`InfiDate.init() root not found: ${root}`);
+        return [];
+      }
+
+      // Callbacks and the dayData provider can't be written as attributes
+      const allowedKeys = Object.keys(this.defaults).filter(key => !/^on[A-Z]/.test(key) && key !== 'dayData');
+      const jsonKeys = allowedKeys.filter(key => {
+        const value = this.defaults[key];
+        return Array.isArray(value) || ['boolean', 'number'].includes(typeof value) || parsedNullOptions.includes(key);
+      });
+
+      const initElements = (node) => {
+        const elements = Array.from(node.querySelectorAll('[data-infidate]'));
+        if (node.matches && node.matches('[data-infidate]')) {
+          elements.unshift(node);
+        }
+
+        const created = [];
+        elements.forEach(element => {
+          if (this.getInstance(element)) return;
+
+          const picker = this.create(element, {
+            ...(options.config || {}),
+            ...InfiDateUtils.readDataOptions(element, allowedKeys, jsonKeys)
+          });
+          autoInitPickers.set(element, picker);
+          created.push(picker);
+        });
+        return created;
+      };
+
+      const created = initElements(scope);
+
+      if (options.observe && !autoInitObservers.has(scope) && typeof MutationObserver !== 'undefined') {
+        const observer = new MutationObserver((mutations) => {
+          let removed = false;
+
+          mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+              if (node.nodeType === 1) initElements(node);
+            });
+            removed = removed || mutation.removedNodes.length > 0;
+          });
+
+          // Elements moved within the page stay connected and keep their picker
+          if (removed) {
+            autoInitPickers.forEach((picker, element) => {
+              if (element.isConnected) return;
+              if (picker.container) picker.destroy();
+              autoInitPickers.delete(element);
+            });
+          }
+        });
+
+        observer.observe(scope, { childList: true, subtree: true });
+        autoInitObservers.set(scope, observer);
+      }
+
+      return created;
+    },
+
+    // Stop auto-initializing under root, or under every observed root
+    stopObserving: function(root) {
+      if (typeof root === 'string') {
+        root = document.querySelector(root);
+      }
+
+      autoInitObservers.forEach((observer, scope) => {
+        if (root && scope !== root) return;
+        observer.disconnect();
+        autoInitObservers.delete(scope);
+      });
+    },
+
+    // Picker attached to an element or selector, or null
+    getInstance: function(target) {
+      const element = typeof target === 'string' ? document.querySelector(target) : target;
+      if (!element) return null;
+
+      for (const picker of pickerRegistry) {
+        if (picker.attachedElement === element) return picker;
+      }
+      return null;
+    },
+
+    // Every live picker, in creation order
+    instances: function() {
+      return Array.from(pickerRegistry);
+    },
+
+    // Destroy the pickers attached inside root (an element or selector), or every picker.
+    // Returns the number destroyed
+    destroyAll: function(root) {
+      const scope = typeof root === 'string' ? document.querySelector(root) : root;
+      if (root && !scope) return 0;
+
+      const pickers = this.instances().filter(picker =>
+        !scope || (picker.attachedElement && scope.contains(picker.attachedElement)));
+      pickers.forEach(picker => picker.destroy());
+      return pickers.length;
+    },
+
     // Convenience methods for quick setup
     singleModal: function(target, onChange) {
       return this.create(target, {
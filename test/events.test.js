@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInlinePicker, dayCell } = require('./helpers');
+
+test('a throwing handler does not stop the others or the DOM event', () => {
+  const calls = [];
+  const { window, picker, errors } = createInlinePicker({
+    onChange: [() => { throw new Error('callback'); }, () => calls.push('callback')]
+  });
+  picker.on('change', () => { throw new Error('handler'); });
+  picker.on('change', () => calls.push('handler'));
+  window.document.getElementById('picker').addEventListener('infidate:change', () => calls.push('dom'));
+
+  dayCell(picker, '2026-12-10').click();
+
+  assert.deepStrictEqual(calls, ['callback', 'handler', 'dom']);
+  assert.strictEqual(errors.length, 2);
+  assert.strictEqual(errors[0][1].message, 'callback');
+  assert.strictEqual(errors[1][1].message, 'handler');
+});
+
+test('a once handler leaves a permanent registration of the same function', () => {
+  const { picker } = createInlinePicker();
+  let calls = 0;
+  const handler = () => calls++;
+  picker.on('change', handler);
+  picker.once('change', handler);
+
+  dayCell(picker, '2026-12-10').click();
+  dayCell(picker, '2026-12-11').click();
+
+  assert.strictEqual(calls, 3);
+});
+
+test('once handlers run a single time', () => {
+  const { picker } = createInlinePicker();
+  let calls = 0;
+  picker.once('change', () => calls++);
+
+  dayCell(picker, '2026-12-10').click();
+  dayCell(picker, '2026-12-11').click();
+
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(picker.hasListeners('change'), false);
+});
+
+test('off() removes every registration of a handler', () => {
+  const { picker } = createInlinePicker();
+  let calls = 0;
+  const handler = () => calls++;
+  picker.on('change', handler);
+  picker.once('change', handler);
+  picker.off('change', handler);
+
+  dayCell(picker, '2026-12-10').click();
+
+  assert.strictEqual(calls, 0);
+});
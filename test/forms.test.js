@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow, createInputPicker, dayCell, press, iso, settle } = require('./helpers');
+
+// A picker on an input inside a form, recording whether each submit that got through was cancelled
+function createFormPicker(attributes, options) {
+  const fixture = createInputPicker(options, { attributes, form: true });
+  const submits = [];
+  fixture.form.addEventListener('submit', (e) => {
+    submits.push(e.defaultPrevented);
+    e.preventDefault(); // jsdom cannot navigate
+  });
+  return { ...fixture, submits };
+}
+
+test('required blocks submitting a readonly input without a date', () => {
+  const { form, picker, submits } = createFormPicker('readonly', { required: true });
+
+  form.requestSubmit();
+
+  assert.deepStrictEqual(submits, [true]);
+  assert.strictEqual(picker.isOpen, true);
+  assert.strictEqual(picker.messageElement.hidden, false);
+  assert.strictEqual(picker.messageElement.textContent, 'Please select a date');
+});
+
+test('a readonly input submits once a date is picked', () => {
+  const { form, picker, submits } = createFormPicker('readonly', { required: true });
+
+  form.requestSubmit();
+  dayCell(picker, '2026-12-10').click();
+  form.requestSubmit();
+
+  assert.deepStrictEqual(submits, [true, false]);
+  assert.strictEqual(picker.messageElement.hidden, true);
+});
+
+test('the required attribute on a readonly input blocks an incomplete range', () => {
+  const { form, picker, submits } = createFormPicker('readonly required', { mode: 'range' });
+
+  picker.show();
+  dayCell(picker, '2026-12-10').click();
+  form.requestSubmit();
+
+  assert.deepStrictEqual(submits, [true]);
+  assert.strictEqual(picker.messageElement.textContent, 'Please select a start and end date');
+});
+
+test('an editable input is left to constraint validation', () => {
+  const { input, form, submits } = createFormPicker('', { required: true });
+
+  form.requestSubmit();
+
+  assert.deepStrictEqual(submits, []);
+  assert.strictEqual(input.validationMessage, 'Please select a date');
+});
+
+test('novalidate forms are not blocked', () => {
+  const { form, submits } = createFormPicker('readonly', { required: true });
+  form.noValidate = true;
+
+  form.requestSubmit();
+
+  assert.deepStrictEqual(submits, [false]);
+});
+
+// Reset a form and wait for the picker to restore its selection
+function resetForm(form) {
+  form.reset();
+  return settle(10);
+}
+
+test('the input value is read as the initial selection', () => {
+  const window = createWindow('<input id="single" value="Dec 24, 2025"><input id="range" value="2025-12-24 to 2025-12-28">');
+  const changes = [];
+  const single = window.InfiDate.create('#single', { onChange: () => changes.push('single') });
+  const range = window.InfiDate.create('#range', { mode: 'range', onChange: () => changes.push('range') });
+
+  assert.strictEqual(iso(single.selectedDate), '2025-12-24');
+  assert.strictEqual(iso(range.selectedEndDate), '2025-12-28');
+  assert.strictEqual(window.document.getElementById('range').value, 'Dec 24, 2025 to Dec 28, 2025');
+  assert.deepStrictEqual(changes, []);
+});
+
+test('reset restores the initial value without a change when nothing changed', async () => {
+  const { input, form, picker } = createFormPicker('value="Dec 24, 2026"');
+  let changes = 0;
+  picker.on('change', () => changes++);
+
+  await resetForm(form);
+
+  assert.strictEqual(changes, 0);
+  assert.strictEqual(input.value, 'Dec 24, 2026');
+});
+
+test('reset restores the initial value with a change after a new pick', async () => {
+  const { input, form, picker } = createFormPicker('value="Dec 24, 2026"');
+  const changes = [];
+  picker.show();
+  dayCell(picker, '2026-12-10').click();
+  picker.on('change', (data) => changes.push(data.iso));
+
+  await resetForm(form);
+
+  assert.deepStrictEqual(changes, ['2026-12-24']);
+  assert.strictEqual(input.value, 'Dec 24, 2026');
+});
+
+test('readonly disables the picker as disableWhenReadonly says', () => {
+  const disabled = (options) => createInputPicker(options, { attributes: 'readonly' }).picker.isDisabled();
+
+  assert.strictEqual(disabled({}), false);
+  assert.strictEqual(disabled({ allowInput: true }), true);
+  assert.strictEqual(disabled({ disableWhenReadonly: true }), true);
+  assert.strictEqual(disabled({ allowInput: true, disableWhenReadonly: false }), false);
+});
+
+test('Enter only holds back the submit when the typed text was edited', () => {
+  const { picker, input } = createInputPicker({ allowInput: true }, { form: true });
+  picker.setDate('2026-12-24');
+
+  assert.strictEqual(press(input, 'Enter').defaultPrevented, false);
+
+  input.value = 'Dec 28, 2026';
+  assert.strictEqual(press(input, 'Enter').defaultPrevented, true);
+  assert.strictEqual(iso(picker.selectedDate), '2026-12-28');
+
+  input.value = 'someday';
+  assert.strictEqual(press(input, 'Enter').defaultPrevented, true);
+});
+
+test('set() applies a new disableWhenReadonly', () => {
+  const { picker } = createInputPicker({}, { attributes: 'readonly' });
+
+  picker.set({ disableWhenReadonly: true });
+
+  assert.ok(picker.container.classList.contains('infidate-picker--disabled'));
+});
@@ -0,0 +1,97 @@
+/**
+ * Test helpers for infidate-js
+ * Loads src/infidate.js into a fresh jsdom window per test and builds the common fixtures
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'infidate.js'), 'utf8');
+
+// A window with InfiDate loaded and the given markup in its body
+function createWindow(body = '') {
+  const dom = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, {
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  dom.window.eval(source);
+  return dom.window;
+}
+
+// Record the window's console.error calls instead of printing them
+function captureErrors(window) {
+  const errors = [];
+  window.console.error = (...args) => errors.push(args);
+  return errors;
+}
+
+// An inline picker showing December 2026
+function createInlinePicker(options = {}) {
+  const window = createWindow('<div id="picker"></div>');
+  const errors = captureErrors(window);
+  const picker = window.InfiDate.create('#picker', {
+    displayMode: 'inline',
+    initialDate: '2026-12-01',
+    ...options
+  });
+  return { window, picker, errors };
+}
+
+// A dropdown picker showing December 2026 on an input with the given attributes, optionally inside a form
+function createInputPicker(options = {}, { attributes = '', form = false } = {}) {
+  const input = `<input id="date" ${attributes}>`;
+  const window = createWindow(form ? `<form id="form">${input}<button>Book</button></form>` : input);
+  const errors = captureErrors(window);
+  const picker = window.InfiDate.create('#date', { initialDate: '2026-12-01', ...options });
+  return {
+    window,
+    picker,
+    errors,
+    input: window.document.getElementById('date'),
+    form: window.document.getElementById('form')
+  };
+}
+
+// Put text in an input and commit it as if the user left the field
+function typeText(input, text) {
+  input.value = text;
+  input.dispatchEvent(new input.ownerDocument.defaultView.Event('change'));
+}
+
+// Press a key on an element
+function press(element, key, options = {}) {
+  const { KeyboardEvent } = element.ownerDocument.defaultView;
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  element.dispatchEvent(event);
+  return event;
+}
+
+// The day cell for an ISO date inside a picker
+function dayCell(picker, isoDate) {
+  return picker.container.querySelector(`[data-date="${isoDate}"]`);
+}
+
+// A date as YYYY-MM-DD, or null
+function iso(date) {
+  if (!date) return null;
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Let pending Promise callbacks and timers run
+function settle(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  createWindow,
+  captureErrors,
+  createInlinePicker,
+  createInputPicker,
+  typeText,
+  press,
+  dayCell,
+  iso,
+  settle
+};
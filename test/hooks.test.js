@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInlinePicker, createInputPicker, typeText, iso, settle } = require('./helpers');
+
+// An inline range picker with a 'next7Days' preset and the given onBeforeSelect
+function createPresetPicker(onBeforeSelect) {
+  const { picker } = createInlinePicker({ mode: 'range', initialDate: null, presets: ['next7Days'], onBeforeSelect });
+  const button = picker.container.querySelector('.infidate-preset');
+  return { picker, button };
+}
+
+test('onBeforeSelect is asked once with the preset range', () => {
+  const calls = [];
+  const { picker, button } = createPresetPicker((date, which, presetEnd) => {
+    calls.push([iso(date), which, iso(presetEnd)]);
+  });
+
+  button.click();
+
+  const today = new Date();
+  const end = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 6);
+  assert.deepStrictEqual(calls, [[iso(today), 'preset', iso(end)]]);
+  assert.strictEqual(iso(picker.selectedEndDate), iso(end));
+});
+
+test('onBeforeSelect can cancel a preset', () => {
+  const { picker, button } = createPresetPicker(() => false);
+
+  button.click();
+
+  assert.strictEqual(picker.selectedStartDate, null);
+});
+
+test('an asynchronous check marks the preset pending until it resolves', async () => {
+  let allow;
+  const { picker, button } = createPresetPicker(() => new Promise(resolve => { allow = resolve; }));
+
+  button.click();
+  assert.ok(button.classList.contains('infidate-preset--pending'));
+  assert.strictEqual(button.getAttribute('aria-busy'), 'true');
+  assert.strictEqual(picker.selectedStartDate, null);
+
+  allow(true);
+  await settle();
+
+  assert.ok(!button.classList.contains('infidate-preset--pending'));
+  assert.ok(picker.selectedEndDate);
+});
+
+// An inline range picker whose onBeforeSelect waits until each check is resolved
+function createAsyncPicker(options) {
+  const checks = [];
+  const fixture = createInlinePicker({
+    mode: 'range',
+    onBeforeSelect: () => new Promise(resolve => checks.push(resolve)),
+    ...options
+  });
+  return { ...fixture, checks };
+}
+
+test('a date disabled while its check runs is not selected', async () => {
+  const { picker, checks } = createAsyncPicker();
+
+  picker.selectDate(new Date(2026, 11, 10));
+  picker.set({ disable: ['2026-12-10'] });
+  checks[0](true);
+  await settle();
+
+  assert.strictEqual(picker.selectedStartDate, null);
+});
+
+test('an approved range end is dropped when the range changed meanwhile', async () => {
+  const { picker, checks } = createAsyncPicker({ onBeforeSelect: null });
+  picker.selectDate(new Date(2026, 11, 10));
+  picker.set({ onBeforeSelect: () => new Promise(resolve => checks.push(resolve)) });
+
+  picker.selectDate(new Date(2026, 11, 14));
+  picker.setRange('2026-12-01', '2026-12-03', { silent: true });
+  checks[0](true);
+  await settle();
+
+  assert.strictEqual(iso(picker.selectedStartDate), '2026-12-01');
+  assert.strictEqual(iso(picker.selectedEndDate), '2026-12-03');
+});
+
+test('a failing selection after an asynchronous check is reported', async () => {
+  const { picker, checks, errors } = createAsyncPicker();
+  picker.commitSelection = () => { throw new Error('commit'); };
+
+  picker.selectDate(new Date(2026, 11, 10));
+  checks[0](true);
+  await settle();
+
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0][1].message, 'commit');
+  assert.strictEqual(picker.pendingDate, null);
+});
+
+// An editable input whose onBeforeSelect records its calls and answers with answer(date, which)
+function createTypingPicker(options, answer = () => true) {
+  const calls = [];
+  const fixture = createInputPicker({
+    allowInput: true,
+    onBeforeSelect: (date, which) => {
+      calls.push([iso(date), which]);
+      return answer(date, which);
+    },
+    ...options
+  });
+  return { ...fixture, calls };
+}
+
+test('typed dates are asked about like clicked ones', () => {
+  const { picker, input, calls } = createTypingPicker({}, (date) => date.getDate() !== 25);
+
+  typeText(input, 'Dec 24, 2026');
+  assert.deepStrictEqual(calls, [['2026-12-24', 'date']]);
+  assert.strictEqual(iso(picker.selectedDate), '2026-12-24');
+
+  typeText(input, 'Dec 25, 2026');
+  assert.strictEqual(iso(picker.selectedDate), '2026-12-24');
+  assert.ok(input.classList.contains('infidate-input--invalid'));
+});
+
+test('a typed range asks about the start, then the end', () => {
+  const { picker, input, calls } = createTypingPicker({ mode: 'range' }, (date, which) => which === 'start');
+
+  typeText(input, 'Dec 24, 2026 to Dec 28, 2026');
+
+  assert.deepStrictEqual(calls, [['2026-12-24', 'start'], ['2026-12-28', 'end']]);
+  assert.strictEqual(picker.selectedStartDate, null);
+  assert.ok(input.classList.contains('infidate-input--invalid'));
+});
+
+test('typed multiple dates are each asked about', () => {
+  const { picker, input, calls } = createTypingPicker({ mode: 'multiple' });
+
+  typeText(input, 'Dec 24, 2026, Dec 26, 2026');
+
+  assert.deepStrictEqual(calls, [['2026-12-24', 'date'], ['2026-12-26', 'date']]);
+  assert.strictEqual(picker.selectedDates.length, 2);
+});
+
+test('typed dates wait for an asynchronous check and are rechecked', async () => {
+  const checks = [];
+  const { picker, input } = createTypingPicker({ mode: 'range' }, () => new Promise(resolve => checks.push(resolve)));
+
+  typeText(input, 'Dec 24, 2026 to Dec 28, 2026');
+  assert.strictEqual(checks.length, 1);
+  checks[0](true);
+  await settle();
+  assert.strictEqual(checks.length, 2);
+  assert.strictEqual(picker.selectedStartDate, null);
+
+  picker.set({ disable: ['2026-12-26'], allowDisabledInRange: false });
+  checks[1](true);
+  await settle();
+
+  assert.strictEqual(picker.selectedStartDate, null);
+  assert.ok(input.classList.contains('infidate-input--invalid'));
+});
+
+test('a hook that throws cancels without escaping the action', () => {
+  const { window, picker } = createInlinePicker({ onBeforeSelect: () => { throw new Error('hook'); } });
+  const warnings = [];
+  window.console.warn = (...args) => warnings.push(args);
+
+  assert.doesNotThrow(() => picker.selectDate(new Date(2026, 11, 10)));
+
+  assert.strictEqual(picker.selectedDate, null);
+  assert.strictEqual(warnings.length, 1);
+  assert.strictEqual(warnings[0][1].message, 'hook');
+});
+
+test('repeated hide() calls wait for the pending onBeforeClose', async () => {
+  const checks = [];
+  const { picker } = createInputPicker({ onBeforeClose: () => new Promise(resolve => checks.push(resolve)) });
+  picker.show();
+
+  picker.hide();
+  picker.hide();
+  assert.strictEqual(checks.length, 1);
+  checks[0](true);
+  await settle();
+
+  assert.strictEqual(picker.isOpen, false);
+  picker.show();
+  picker.hide();
+  assert.strictEqual(checks.length, 2);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow, settle } = require('./helpers');
+
+test('data attributes are parsed by the kind of value each option takes', () => {
+  const window = createWindow(`<input id="date" data-infidate
+    data-infidate-mode="range"
+    data-infidate-max-range-days="14"
+    data-infidate-min-nights="2"
+    data-infidate-allow-input
+    data-infidate-disable='["2026-12-25"]'
+    data-infidate-title="2025"
+    data-infidate-name="123"
+    data-infidate-min-date="2026">`);
+
+  const [picker] = window.InfiDate.init();
+
+  assert.strictEqual(picker.config.mode, 'range');
+  assert.strictEqual(picker.config.maxRangeDays, 14);
+  assert.strictEqual(picker.config.minNights, 2);
+  assert.strictEqual(picker.config.allowInput, true);
+  assert.strictEqual(picker.config.disable[0], '2026-12-25');
+  assert.strictEqual(picker.config.title, '2025');
+  assert.strictEqual(picker.config.name, '123');
+  assert.strictEqual(picker.config.minDate, '2026');
+});
+
+test('a destroyed auto-initialized picker can be initialized again', () => {
+  const window = createWindow('<input id="date" data-infidate>');
+  const [picker] = window.InfiDate.init();
+
+  picker.destroy();
+  const [again] = window.InfiDate.init();
+
+  assert.ok(again && again !== picker);
+  assert.strictEqual(window.InfiDate.getInstance('#date'), again);
+});
+
+test('observed roots create and destroy pickers as elements come and go', async () => {
+  const window = createWindow('<div id="root"></div>');
+  const root = window.document.getElementById('root');
+  window.InfiDate.init(root, { observe: true });
+
+  root.innerHTML = '<input id="date" data-infidate>';
+  await settle();
+  const picker = window.InfiDate.getInstance('#date');
+  assert.ok(picker);
+
+  root.innerHTML = '';
+  await settle();
+  assert.strictEqual(picker.container, null);
+});
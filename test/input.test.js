@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInputPicker, typeText, iso } = require('./helpers');
+
+// A dropdown picker on an editable input, with the given text committed as if typed and blurred
+function typeInto(text, options) {
+  const fixture = createInputPicker({ allowInput: true, ...options });
+  typeText(fixture.input, text);
+  return fixture;
+}
+
+function selected(picker) {
+  return picker.config.mode === 'range'
+    ? [iso(picker.selectedStartDate), iso(picker.selectedEndDate)]
+    : iso(picker.selectedDate);
+}
+
+for (const text of ['Dec 24, 2025', '12/24/2025', '24 Dec 2025', '24 December 2025', 'December 24 2025', '2025-12-24']) {
+  test(`single mode reads "${text}" with the default format`, () => {
+    const { picker, input } = typeInto(text);
+
+    assert.strictEqual(selected(picker), '2025-12-24');
+    assert.ok(!input.classList.contains('infidate-input--invalid'));
+  });
+}
+
+for (const text of ['Dec 24, 2025 to Dec 28, 2025', '12/24/2025 - 12/28/2025', '24 Dec 2025 – 28 Dec 2025', '2025-12-24 to 2025-12-28']) {
+  test(`range mode reads "${text}"`, () => {
+    const { picker } = typeInto(text, { mode: 'range' });
+
+    assert.deepStrictEqual(selected(picker), ['2025-12-24', '2025-12-28']);
+  });
+}
+
+test('the numeric fallback follows the locale order', () => {
+  const { picker } = typeInto('24.12.2025', { locale: 'de' });
+
+  assert.strictEqual(selected(picker), '2025-12-24');
+});
+
+test('an explicit displayFormat is tried first', () => {
+  const { picker } = typeInto('03/04/2025', { displayFormat: 'DD/MM/YYYY' });
+
+  assert.strictEqual(selected(picker), '2025-04-03');
+});
+
+test('text matching no format marks the input invalid', () => {
+  const { picker, input } = typeInto('next tuesday');
+
+  assert.strictEqual(picker.selectedDate, null);
+  assert.ok(input.classList.contains('infidate-input--invalid'));
+  assert.strictEqual(input.getAttribute('aria-invalid'), 'true');
+});
+
+test('time tokens are only read when enableTime is on', () => {
+  const { window } = typeInto('');
+  const { parseDate } = window.InfiDateUtils;
+
+  assert.strictEqual(iso(parseDate('24/12 At', 'D/M At', 'en')), `${new Date().getFullYear()}-12-24`);
+  assert.strictEqual(parseDate('24/12 9:30 PM', 'D/M hh:mm A', 'en', true).getHours(), 21);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInlinePicker, dayCell, iso } = require('./helpers');
+
+// An inline range picker that records each onInvalid call
+function createInvalidPicker(options) {
+  const invalid = [];
+  const fixture = createInlinePicker({ mode: 'range', onInvalid: (reason, details) => invalid.push({ reason, ...details }), ...options });
+  const pick = (...days) => days.forEach(day => dayCell(fixture.picker, day).click());
+  return { ...fixture, invalid, pick };
+}
+
+function message(picker) {
+  const element = picker.container.querySelector('.infidate-message');
+  return element.hidden ? null : element.textContent;
+}
+
+test('a range under minRangeDays is reported and restarts from the clicked day', () => {
+  const { picker, invalid, pick } = createInvalidPicker({ minRangeDays: 3 });
+
+  pick('2026-12-10', '2026-12-11');
+
+  assert.strictEqual(invalid.length, 1);
+  assert.strictEqual(invalid[0].reason, 'minRangeDays');
+  assert.strictEqual(invalid[0].limit, 3);
+  assert.strictEqual(invalid[0].days, 2);
+  assert.strictEqual(message(picker), 'Select at least 3 days');
+  assert.strictEqual(iso(picker.selectedStartDate), '2026-12-11');
+  assert.strictEqual(picker.selectedEndDate, null);
+});
+
+test('keep-start keeps the start after a rejected end', () => {
+  const { picker, pick } = createInvalidPicker({ maxRangeDays: 5, invalidRangeBehavior: 'keep-start' });
+
+  pick('2026-12-10', '2026-12-20');
+
+  assert.strictEqual(iso(picker.selectedStartDate), '2026-12-10');
+  assert.strictEqual(picker.selectedEndDate, null);
+  assert.strictEqual(message(picker), 'Select at most 5 days');
+});
+
+test('clamp shortens the range to the limit', () => {
+  const { picker, invalid, pick } = createInvalidPicker({ maxRangeDays: 5, invalidRangeBehavior: 'clamp' });
+
+  pick('2026-12-10', '2026-12-20');
+
+  assert.strictEqual(invalid[0].behavior, 'clamp');
+  assert.strictEqual(iso(picker.selectedEndDate), '2026-12-14');
+});
+
+test('clamp stops before a disabled date inside the range', () => {
+  const { picker, invalid, pick } = createInvalidPicker({
+    disable: ['2026-12-13'],
+    allowDisabledInRange: false,
+    invalidRangeBehavior: 'clamp'
+  });
+
+  pick('2026-12-10', '2026-12-20');
+
+  assert.strictEqual(invalid[0].reason, 'disabledInRange');
+  assert.strictEqual(iso(invalid[0].blocked), '2026-12-13');
+  assert.strictEqual(iso(picker.selectedEndDate), '2026-12-12');
+});
+
+test('the message clears once a valid range is picked', () => {
+  const { picker, pick } = createInvalidPicker({ minRangeDays: 3, invalidRangeBehavior: 'keep-start' });
+
+  pick('2026-12-10', '2026-12-11', '2026-12-15');
+
+  assert.strictEqual(iso(picker.selectedEndDate), '2026-12-15');
+  assert.strictEqual(message(picker), null);
+});
+
+test('setRange refuses a rejected range without changing the selection', () => {
+  const { window, picker, invalid } = createInvalidPicker({ maxRangeDays: 5 });
+  const warnings = [];
+  window.console.warn = (...args) => warnings.push(args);
+  picker.setRange('2026-12-01', '2026-12-03');
+
+  assert.strictEqual(picker.setRange('2026-12-10', '2026-12-20'), false);
+
+  assert.strictEqual(warnings.length, 1);
+  assert.strictEqual(invalid.length, 0);
+  assert.strictEqual(iso(picker.selectedStartDate), '2026-12-01');
+});
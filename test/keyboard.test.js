@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInlinePicker, createInputPicker, press, iso } = require('./helpers');
+
+// An inline picker with keyboard focus on the given day
+function focusOn(isoDate, options) {
+  const fixture = createInlinePicker(options);
+  fixture.picker.focusDate(fixture.window.InfiDateUtils.parseDate(isoDate));
+  return fixture;
+}
+
+function focusedIso(window) {
+  return window.document.activeElement.dataset.date;
+}
+
+test('arrow keys, Home and End move focus through the day grid', () => {
+  const { window } = focusOn('2026-12-10');
+  const steps = [['ArrowRight', '2026-12-11'], ['ArrowDown', '2026-12-18'], ['ArrowLeft', '2026-12-17'],
+    ['ArrowUp', '2026-12-10'], ['Home', '2026-12-06'], ['End', '2026-12-12']];
+
+  for (const [key, expected] of steps) {
+    press(window.document.activeElement, key);
+    assert.strictEqual(focusedIso(window), expected, key);
+  }
+});
+
+test('arrows cross month boundaries and Page keys move by month or year', () => {
+  const { window } = focusOn('2026-12-31');
+
+  press(window.document.activeElement, 'ArrowRight');
+  assert.strictEqual(focusedIso(window), '2027-01-01');
+
+  press(window.document.activeElement, 'PageDown');
+  assert.strictEqual(focusedIso(window), '2027-02-01');
+
+  press(window.document.activeElement, 'PageUp', { shiftKey: true });
+  assert.strictEqual(focusedIso(window), '2026-02-01');
+});
+
+test('only the focused day is in the tab order', () => {
+  const { window, picker } = focusOn('2026-12-10');
+
+  press(window.document.activeElement, 'ArrowRight');
+
+  const tabbable = picker.container.querySelectorAll('.infidate-day[tabindex="0"]');
+  assert.strictEqual(tabbable.length, 1);
+  assert.strictEqual(tabbable[0].dataset.date, '2026-12-11');
+});
+
+test('right-to-left locales swap the horizontal arrows', () => {
+  const { window } = focusOn('2026-12-10', { locale: 'ar' });
+
+  press(window.document.activeElement, 'ArrowRight');
+
+  assert.strictEqual(focusedIso(window), '2026-12-09');
+});
+
+test('Enter and Space pick the focused day, skipping disabled ones', () => {
+  const { window, picker } = focusOn('2026-12-10', { mode: 'multiple', disable: ['2026-12-11'] });
+
+  press(window.document.activeElement, 'Enter');
+  press(window.document.activeElement, 'ArrowRight');
+  press(window.document.activeElement, ' ');
+
+  assert.deepStrictEqual(Array.from(picker.selectedDates, iso), ['2026-12-10']);
+});
+
+test('Escape closes a dropdown picker', () => {
+  const { window, picker } = createInputPicker();
+  picker.show();
+
+  press(window.document.activeElement, 'Escape');
+
+  assert.strictEqual(picker.isOpen, false);
+});
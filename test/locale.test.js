@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow, createInlinePicker } = require('./helpers');
+
+test('German, Japanese and Arabic packs translate the UI strings', () => {
+  const { InfiDate } = createWindow();
+
+  assert.strictEqual(InfiDate.getLocale('de').labels.nights, '{count} Nächte');
+  assert.strictEqual(InfiDate.getLocale('de-AT').rangeSeparator, ' bis ');
+  assert.strictEqual(InfiDate.getLocale('ja').labels.today, '今日');
+  assert.strictEqual(InfiDate.getLocale('ar').labels.required, 'يرجى اختيار تاريخ');
+  assert.strictEqual(InfiDate.getLocale('ar').dir, 'rtl');
+});
+
+test('other Intl languages get their names and formats with English labels', () => {
+  const { InfiDate } = createWindow();
+  const french = InfiDate.getLocale('fr');
+
+  assert.strictEqual(french.monthNames[0], 'janvier');
+  assert.strictEqual(french.firstDayOfWeek, 1);
+  assert.strictEqual(french.labels.today, 'Today');
+});
+
+test('registered labels are merged over the translated pack', () => {
+  const { InfiDate } = createWindow();
+
+  const german = InfiDate.registerLocale('de', { labels: { today: 'Jetzt' } });
+
+  assert.strictEqual(german.labels.today, 'Jetzt');
+  assert.strictEqual(german.labels.yesterday, 'Gestern');
+  assert.strictEqual(german.monthNames[2], 'März');
+});
+
+test('a picker renders its locale names and labels', () => {
+  const { picker } = createInlinePicker({ locale: 'de', mode: 'range', presets: ['today'] });
+
+  assert.strictEqual(picker.container.querySelector('.infidate-preset').textContent.trim(), 'Heute');
+  assert.ok(picker.container.querySelector('.infidate-month[data-month="2026-11"] h4').textContent.includes('Dezember'));
+  assert.strictEqual(picker.container.querySelector('.infidate-day-name').textContent, 'Mo');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInlinePicker, dayCell, iso } = require('./helpers');
+
+function modeButtons(picker) {
+  return Array.from(picker.container.querySelectorAll('.infidate-mode-btn')).map(button => button.dataset.mode);
+}
+
+test('the mode switch offers single and range by default, or the listed modes', () => {
+  assert.deepStrictEqual(modeButtons(createInlinePicker({ allowModeSwitch: true }).picker), ['single', 'range']);
+
+  const { picker } = createInlinePicker({ allowModeSwitch: ['single', 'range', 'multiple'] });
+  assert.deepStrictEqual(modeButtons(picker), ['single', 'range', 'multiple']);
+
+  picker.container.querySelector('.infidate-mode-btn[data-mode="multiple"]').click();
+  assert.strictEqual(picker.config.mode, 'multiple');
+});
+
+test('multiple mode toggles days and keeps them sorted', () => {
+  const changes = [];
+  const { picker } = createInlinePicker({ mode: 'multiple', onChange: (data) => changes.push(data) });
+
+  ['2026-12-20', '2026-12-05', '2026-12-12'].forEach(day => dayCell(picker, day).click());
+  dayCell(picker, '2026-12-12').click();
+
+  assert.deepStrictEqual(Array.from(picker.selectedDates, iso), ['2026-12-05', '2026-12-20']);
+  assert.deepStrictEqual(Array.from(changes[changes.length - 1].iso), ['2026-12-05', '2026-12-20']);
+  assert.strictEqual(changes[changes.length - 1].count, 2);
+});
+
+test('multiple mode stops at maxSelections', () => {
+  const { picker } = createInlinePicker({ mode: 'multiple', maxSelections: 2 });
+
+  ['2026-12-05', '2026-12-06', '2026-12-07'].forEach(day => dayCell(picker, day).click());
+
+  assert.deepStrictEqual(Array.from(picker.selectedDates, iso), ['2026-12-05', '2026-12-06']);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInlinePicker, dayCell } = require('./helpers');
+
+// An inline picker starting at January 2026 that records each dayData request by month
+function createPicker(options) {
+  const requested = [];
+  const fixture = createInlinePicker({
+    initialMonths: 2,
+    initialDate: '2026-01-01',
+    dayData: (start) => {
+      requested.push(`${start.getFullYear()}-${start.getMonth() + 1}`);
+      return {};
+    },
+    ...options
+  });
+  return { ...fixture, requested };
+}
+
+function renderedMonths(picker) {
+  return Array.from(picker.monthsContainer.querySelectorAll('.infidate-month:not(.infidate-month--placeholder)'))
+    .map(monthElement => monthElement.dataset.month);
+}
+
+test('a far jump renders and fetches only the months near the target', () => {
+  const { picker, requested } = createPicker();
+  requested.length = 0;
+
+  assert.strictEqual(picker.goToMonth(new Date(2028, 5, 1)), true);
+
+  assert.deepStrictEqual(requested, ['2028-4', '2028-5', '2028-6']);
+  assert.deepStrictEqual(renderedMonths(picker).slice(-3), ['2028-3', '2028-4', '2028-5']);
+  assert.strictEqual(renderedMonths(picker).length, 6); // The initial months stay rendered
+  assert.ok(picker.loadedMonths.includes('2027-5'));
+  assert.ok(dayCell(picker, '2028-06-15'));
+  assert.strictEqual(dayCell(picker, '2027-06-15'), null);
+});
+
+test('a skipped month renders and fetches once mounted', () => {
+  const { picker, requested } = createPicker();
+  picker.goToMonth(new Date(2028, 5, 1));
+  requested.length = 0;
+
+  picker.mountMonth(picker.monthsContainer.querySelector('.infidate-month[data-month="2027-5"]'));
+
+  assert.deepStrictEqual(requested, ['2027-6']);
+  assert.ok(dayCell(picker, '2027-06-15'));
+});
+
+test('without virtualize every month in between is rendered', () => {
+  const { picker } = createPicker({ virtualize: false });
+
+  picker.goToMonth(new Date(2026, 9, 1));
+
+  assert.strictEqual(renderedMonths(picker).length, picker.loadedMonths.length);
+});
+
+test('placeholder months far from the rendered ones are removed and loaded again when needed', () => {
+  const { picker } = createPicker();
+  picker.goToMonth(new Date(2028, 5, 1));
+  ['2025-11', '2026-0', '2026-1'].forEach(monthKey => {
+    picker.unmountMonth(picker.monthsContainer.querySelector(`.infidate-month[data-month="${monthKey}"]`));
+  });
+
+  picker.trimPlaceholderMonths(picker.loadedMonths.indexOf('2027-5'), picker.loadedMonths.length - 1);
+
+  assert.strictEqual(picker.loadedMonths[0], '2027-5');
+  assert.strictEqual(picker.monthsContainer.children.length, picker.loadedMonths.length);
+  assert.strictEqual(picker.monthsContainer.firstElementChild.dataset.month, '2027-5');
+
+  picker.loadPreviousMonths();
+  assert.strictEqual(picker.loadedMonths[0], '2027-4');
+});
+
+test('moving the range preview only updates the days between the old and new ends', () => {
+  const { picker, window } = createPicker({ mode: 'range', initialDate: '2026-01-01' });
+  picker.selectDate(new Date(2026, 0, 5));
+  const hover = (isoDate) => dayCell(picker, isoDate).dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true }));
+  hover('2026-01-20');
+
+  const updated = [];
+  const updatePreviewMarks = picker.updatePreviewMarks.bind(picker);
+  picker.updatePreviewMarks = (dayElement, previewIso) => {
+    updated.push(dayElement.dataset.date);
+    updatePreviewMarks(dayElement, previewIso);
+  };
+  hover('2026-01-22');
+
+  assert.deepStrictEqual(updated, ['2026-01-20', '2026-01-21', '2026-01-22']);
+  assert.ok(dayCell(picker, '2026-01-21').classList.contains('infidate-day--preview'));
+  assert.ok(!dayCell(picker, '2026-01-20').classList.contains('infidate-day--preview-end'));
+  assert.ok(!dayCell(picker, '2026-01-20').hasAttribute('aria-describedby'));
+  assert.ok(dayCell(picker, '2026-01-22').classList.contains('infidate-day--preview-end'));
+  assert.strictEqual(dayCell(picker, '2026-01-22').getAttribute('data-preview'), '17 nights');
+
+  hover('2026-01-03');
+  assert.strictEqual(picker.container.querySelectorAll('.infidate-day--preview, .infidate-day--preview-end').length, 0);
+});
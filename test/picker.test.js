@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers');
+
+test('a picker attaches to an input and is removed on destroy', () => {
+  const window = createWindow('<input id="date">');
+  const picker = window.InfiDate.create('#date');
+
+  assert.ok(window.document.body.contains(picker.container));
+  assert.strictEqual(window.document.getElementById('date').getAttribute('aria-haspopup'), 'dialog');
+
+  picker.destroy();
+
+  assert.strictEqual(window.document.querySelector('.infidate-picker'), null);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInlinePicker, iso } = require('./helpers');
+
+function createPresetsPicker(presets, options) {
+  const fixture = createInlinePicker({ mode: 'range', initialDate: null, presets, ...options });
+  const buttons = Array.from(fixture.picker.container.querySelectorAll('.infidate-preset'));
+  return { ...fixture, buttons };
+}
+
+test('a built-in preset selects its range and becomes active', () => {
+  const { picker, buttons } = createPresetsPicker(['next7Days']);
+
+  buttons[0].click();
+
+  const today = new Date();
+  assert.strictEqual(iso(picker.selectedStartDate), iso(today));
+  assert.strictEqual(iso(picker.selectedEndDate), iso(new Date(today.getFullYear(), today.getMonth(), today.getDate() + 6)));
+  assert.strictEqual(buttons[0].getAttribute('aria-pressed'), 'true');
+});
+
+test('a preset whose range breaks the range rules is disabled', () => {
+  const { buttons } = createPresetsPicker(['next7Days', 'next30Days'], { maxRangeDays: 10 });
+
+  assert.strictEqual(buttons[0].disabled, false);
+  assert.strictEqual(buttons[1].disabled, true);
+});
+
+test('a throwing range function disables its preset and is reported', () => {
+  const { picker, buttons, errors } = createPresetsPicker([
+    { label: 'Broken', range: () => { throw new Error('range'); } },
+    'next7Days'
+  ]);
+
+  assert.strictEqual(buttons[0].disabled, true);
+  assert.strictEqual(buttons[1].disabled, false);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0][1].message, 'range');
+
+  picker.applyPreset(0);
+  assert.strictEqual(picker.selectedStartDate, null);
+});
+
+test('range functions run once a day', () => {
+  let calls = 0;
+  const { picker } = createPresetsPicker([{
+    label: 'Week',
+    range: (today) => {
+      calls++;
+      return [today, new Date(today.getFullYear(), today.getMonth(), today.getDate() + 7)];
+    }
+  }]);
+
+  picker.selectDate(new Date(2026, 11, 10));
+  picker.selectDate(new Date(2026, 11, 12));
+  picker.updateDisplay();
+
+  assert.strictEqual(calls, 1);
+});
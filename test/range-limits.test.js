@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInlinePicker, dayCell, iso } = require('./helpers');
+
+// An inline range picker showing December 2026 and January 2027
+function createRangePicker(options) {
+  return createInlinePicker({ mode: 'range', initialMonths: 2, ...options });
+}
+
+test('a number counts days', () => {
+  const { picker } = createRangePicker({ minRangeDays: 4 });
+
+  assert.strictEqual(picker.setRange('2026-12-10', '2026-12-12'), false);
+  assert.strictEqual(picker.setRange('2026-12-10', '2026-12-13'), true);
+  assert.strictEqual(iso(picker.selectedEndDate), '2026-12-13');
+});
+
+test('every form of minRangeDays and maxRangeDays counts days', () => {
+  const start = new Date(2026, 11, 10);
+  const forms = [
+    { minRangeDays: 4, maxRangeDays: 6 },
+    { minRangeDays: () => 4, maxRangeDays: () => 6 },
+    { minRangeDays: [{ minDays: 4 }], maxRangeDays: [{ maxDays: 6 }] }
+  ];
+
+  forms.forEach(options => {
+    const { picker } = createRangePicker(options);
+    const limits = picker.getRangeLimits(start);
+
+    assert.strictEqual(limits.minRangeDays, 4);
+    assert.strictEqual(limits.maxRangeDays, 6);
+    assert.strictEqual(picker.setRange('2026-12-10', '2026-12-12'), false);
+    assert.strictEqual(picker.setRange('2026-12-10', '2026-12-13'), true);
+    assert.strictEqual(picker.setRange('2026-12-10', '2026-12-16'), false);
+  });
+});
+
+test('every form of minNights and maxNights counts nights', () => {
+  const start = new Date(2026, 11, 10);
+  const forms = [
+    { minNights: 3, maxNights: 5 },
+    { minNights: () => 3, maxNights: () => 5 },
+    { minNights: [{ minNights: 3 }], maxNights: [{ maxNights: 5 }] }
+  ];
+
+  forms.forEach(options => {
+    const { picker } = createRangePicker(options);
+    const limits = picker.getRangeLimits(start);
+
+    assert.strictEqual(limits.minRangeDays, 4);
+    assert.strictEqual(limits.maxRangeDays, 6);
+    assert.strictEqual(picker.setRange('2026-12-10', '2026-12-12'), false);
+    assert.strictEqual(picker.setRange('2026-12-10', '2026-12-13'), true);
+  });
+});
+
+test('rules apply to starts between from and to', () => {
+  const { picker } = createRangePicker({
+    minNights: [
+      { from: '2026-12-20', to: '2027-01-02', minNights: 3 },
+      { minNights: 1 }
+    ]
+  });
+
+  assert.strictEqual(picker.getRangeLimits(new Date(2026, 11, 21)).minRangeDays, 4);
+  assert.strictEqual(picker.getRangeLimits(new Date(2026, 11, 10)).minRangeDays, 2);
+  assert.strictEqual(picker.setRange('2026-12-21', '2026-12-23'), false);
+  assert.strictEqual(picker.setRange('2026-12-21', '2026-12-24'), true);
+});
+
+test('the stricter of the day and night limits wins', () => {
+  const { picker } = createRangePicker({ minRangeDays: 5, minNights: 2, maxRangeDays: 10, maxNights: 7 });
+  const limits = picker.getRangeLimits(new Date(2026, 11, 10));
+
+  assert.strictEqual(limits.minRangeDays, 5);
+  assert.strictEqual(limits.maxRangeDays, 8);
+});
+
+test('limit functions are asked again after a render', () => {
+  let nights = 1;
+  const { picker } = createRangePicker({ minNights: () => nights });
+  const start = new Date(2026, 11, 10);
+
+  assert.strictEqual(picker.getRangeLimits(start).minRangeDays, 2);
+  nights = 4;
+  picker.updateDisplay();
+
+  assert.strictEqual(picker.getRangeLimits(start).minRangeDays, 5);
+});
+
+test('ends outside the limits are marked once a start is picked', () => {
+  const { picker } = createRangePicker({ minRangeDays: () => 3 });
+
+  dayCell(picker, '2026-12-10').click();
+
+  assert.ok(dayCell(picker, '2026-12-11').classList.contains('infidate-day--invalid-end'));
+  assert.ok(!dayCell(picker, '2026-12-12').classList.contains('infidate-day--invalid-end'));
+});
+
+test('the blocked-date scan stops at maxRangeDays and the last loaded month', () => {
+  const { picker } = createRangePicker({ disable: ['2027-06-01'], allowDisabledInRange: false, maxRangeDays: Infinity });
+  const scanned = [];
+  const isDateDisabledCached = picker.isDateDisabledCached.bind(picker);
+  picker.isDateDisabledCached = (date) => {
+    scanned.push(iso(date));
+    return isDateDisabledCached(date);
+  };
+  const lastLoaded = picker.loadedMonths[picker.loadedMonths.length - 1];
+
+  assert.strictEqual(picker.getFirstBlockedDate(new Date(2026, 11, 10)), null);
+  assert.strictEqual(scanned[scanned.length - 1].slice(0, 7), iso(picker.getMonthFromKey(lastLoaded)).slice(0, 7));
+
+  // A far end scans on from there, once
+  scanned.length = 0;
+  assert.strictEqual(picker.setRange('2026-12-10', '2027-07-01'), false);
+  assert.strictEqual(iso(picker.getFirstBlockedDate(new Date(2026, 11, 10))), '2027-06-01');
+  assert.strictEqual(new Set(scanned).size, scanned.length);
+
+  picker.set({ maxRangeDays: 5 });
+  scanned.length = 0;
+  picker.getFirstBlockedDate(new Date(2026, 11, 20));
+  assert.deepStrictEqual(scanned, ['2026-12-21', '2026-12-22', '2026-12-23', '2026-12-24']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow, captureErrors } = require('./helpers');
+
+function createPage() {
+  const window = createWindow('<div id="form-a"><input id="a"><input id="b"></div><div id="form-b"><input id="c"></div>');
+  captureErrors(window);
+  return window;
+}
+
+test('pickers are found by element or selector and listed in creation order', () => {
+  const window = createPage();
+  const { InfiDate } = window;
+  const a = InfiDate.create('#a');
+  const c = InfiDate.create('#c');
+
+  assert.strictEqual(InfiDate.getInstance('#a'), a);
+  assert.strictEqual(InfiDate.getInstance(window.document.getElementById('c')), c);
+  assert.strictEqual(InfiDate.getInstance('#b'), null);
+  assert.strictEqual(InfiDate.getInstance('#missing'), null);
+  assert.deepStrictEqual(Array.from(InfiDate.instances()), [a, c]);
+});
+
+test('creating a second picker for an element returns the first', () => {
+  const window = createPage();
+  const warnings = [];
+  window.console.warn = (...args) => warnings.push(args);
+  const first = window.InfiDate.create('#a');
+
+  assert.strictEqual(window.InfiDate.create('#a', { mode: 'range' }), first);
+  assert.strictEqual(first.config.mode, 'single');
+  assert.strictEqual(warnings.length, 1);
+});
+
+test('destroyed pickers leave the registry', () => {
+  const { InfiDate } = createPage();
+  const a = InfiDate.create('#a');
+
+  a.destroy();
+
+  assert.strictEqual(InfiDate.getInstance('#a'), null);
+  assert.strictEqual(InfiDate.instances().length, 0);
+});
+
+test('destroyAll destroys the pickers inside a root, or all of them', () => {
+  const { InfiDate } = createPage();
+  ['#a', '#b', '#c'].forEach(id => InfiDate.create(id));
+
+  assert.strictEqual(InfiDate.destroyAll('#form-a'), 2);
+  assert.deepStrictEqual(Array.from(InfiDate.instances(), picker => picker.attachedElement.id), ['c']);
+  assert.strictEqual(InfiDate.destroyAll('#missing'), 0);
+  assert.strictEqual(InfiDate.destroyAll(), 1);
+  assert.strictEqual(InfiDate.instances().length, 0);
+});
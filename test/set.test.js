@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInlinePicker, createInputPicker, dayCell, iso } = require('./helpers');
+
+test('new disable rules re-mark the rendered days', () => {
+  const { picker } = createInlinePicker();
+
+  picker.set({ disable: ['2026-12-24'] });
+
+  assert.ok(dayCell(picker, '2026-12-24').classList.contains('infidate-day--disabled'));
+  picker.set('disable', []);
+  assert.ok(!dayCell(picker, '2026-12-24').classList.contains('infidate-day--disabled'));
+});
+
+test('a new display format rewrites the input', () => {
+  const { picker, input } = createInputPicker();
+  picker.setDate('2026-12-24');
+
+  picker.set({ displayFormat: 'DD/MM/YYYY' });
+
+  assert.strictEqual(input.value, '24/12/2026');
+});
+
+test('switching mode clears an incompatible selection', () => {
+  const { picker } = createInlinePicker({ mode: 'range' });
+  picker.setRange('2026-12-10', '2026-12-14');
+
+  picker.set({ mode: 'single' });
+
+  assert.strictEqual(picker.config.mode, 'single');
+  assert.strictEqual(picker.selectedStartDate, null);
+  assert.strictEqual(picker.selectedEndDate, null);
+});
+
+test('the header and locale update in place', () => {
+  const { picker } = createInlinePicker();
+  const monthsContainer = picker.monthsContainer;
+
+  picker.set({ title: 'Check-in', locale: 'de' });
+
+  assert.strictEqual(picker.container.querySelector('.infidate-title').textContent, 'Check-in');
+  assert.ok(picker.container.querySelector('.infidate-month[data-month="2026-11"] h4').textContent.includes('Dezember'));
+  assert.strictEqual(picker.container.getAttribute('lang'), 'de');
+  assert.strictEqual(picker.monthsContainer, monthsContainer);
+});
+
+test('unrelated options leave the rendered months alone', () => {
+  const { picker } = createInlinePicker();
+  const cell = dayCell(picker, '2026-12-24');
+
+  picker.set({ closeOnSelect: false, theme: 'dark' });
+
+  assert.strictEqual(dayCell(picker, '2026-12-24'), cell);
+  assert.strictEqual(picker.config.closeOnSelect, false);
+});
+
+test('set() returns the picker for chaining', () => {
+  const { picker } = createInlinePicker({ mode: 'range' });
+
+  assert.strictEqual(picker.set({ minRangeDays: 3 }).set('maxRangeDays', 5), picker);
+  assert.strictEqual(picker.setRange('2026-12-10', '2026-12-11'), false);
+  assert.strictEqual(picker.setRange('2026-12-10', '2026-12-13'), true);
+  assert.strictEqual(iso(picker.selectedEndDate), '2026-12-13');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInlinePicker, createInputPicker, dayCell, iso } = require('./helpers');
+
+// Pick an hour and minute in a time row ('single', 'start' or 'end') as the user would
+function pickTime(picker, which, hours, minutes) {
+  const row = picker.container.querySelector(`.infidate-time-row[data-time="${which}"]`);
+  row.querySelector('.infidate-time-hour').value = String(hours);
+  const minuteSelect = row.querySelector('.infidate-time-minute');
+  minuteSelect.value = String(minutes);
+  minuteSelect.dispatchEvent(new picker.container.ownerDocument.defaultView.Event('change', { bubbles: true }));
+}
+
+test('range days get the default start and end times', () => {
+  const { picker } = createInlinePicker({ mode: 'range', enableTime: true, defaultTime: '15:00', defaultEndTime: '11:00' });
+
+  dayCell(picker, '2026-12-10').click();
+  dayCell(picker, '2026-12-14').click();
+
+  assert.strictEqual(picker.selectedStartDate.getHours(), 15);
+  assert.strictEqual(picker.selectedEndDate.getHours(), 11);
+});
+
+test('the time selects change the selected time', () => {
+  const { picker } = createInlinePicker({ mode: 'range', enableTime: true, timeStep: 15 });
+  dayCell(picker, '2026-12-10').click();
+  dayCell(picker, '2026-12-14').click();
+
+  pickTime(picker, 'end', 9, 45);
+
+  assert.strictEqual(picker.selectedEndDate.getHours(), 9);
+  assert.strictEqual(picker.selectedEndDate.getMinutes(), 45);
+  assert.strictEqual(iso(picker.selectedEndDate), '2026-12-14');
+});
+
+test('the input shows the time in the locale time format', () => {
+  const { window, picker, input } = createInputPicker({ enableTime: true });
+
+  picker.setDate(new window.Date(2026, 11, 24, 21, 30));
+
+  assert.strictEqual(input.value, 'Dec 24, 2026 09:30 PM');
+});
+
+test('minDate and maxDate are compared by calendar day', () => {
+  const now = new Date();
+  const { window, picker } = createInlinePicker({ minDate: 'today' });
+  picker.set({ maxDate: new window.Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 1) });
+
+  assert.strictEqual(picker.isDateDisabled(new Date(now.getFullYear(), now.getMonth(), now.getDate())), false);
+  assert.strictEqual(picker.isDateDisabled(new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)), true);
+  assert.strictEqual(picker.isDateDisabled(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1)), true);
+});
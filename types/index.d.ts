@@ -9,6 +9,7 @@ export interface InfiDateSelectionSingle {
   date: Date;
   formatted: string;
   iso: string;
+  time?: string;
   timestamp: number;
 }
 
@@ -23,6 +24,10 @@ export interface InfiDateSelectionRange {
     start: string;
     end: string;
   };
+  time?: {
+    start: string | null;
+    end: string | null;
+  };
   nights: number;
   days: number;
   timestamp: {
@@ -31,7 +36,17 @@ export interface InfiDateSelectionRange {
   };
 }
 
-export type InfiDateSelection = InfiDateSelectionSingle | InfiDateSelectionRange;
+export interface InfiDateSelectionMultiple {
+  dates: Date[];
+  formatted: string[];
+  iso: string[];
+  count: number;
+  time?: string[];
+}
+
+export type InfiDateSelection = InfiDateSelectionSingle | InfiDateSelectionRange | InfiDateSelectionMultiple;
+
+export type InfiDateMode = 'single' | 'range' | 'multiple';
 
 // Date range object for disable/enable arrays
 export interface DateRange {
@@ -39,38 +54,242 @@ export interface DateRange {
   to: string | Date;
 }
 
+// Translatable UI strings; shipped for en, de, ja and ar, other languages keep the English ones
+// unless supplied through registerLocale or an inline pack
+export interface InfiDateLocaleLabels {
+  single: string;
+  range: string;
+  multiple: string;
+  modeSwitch: string;
+  calendar: string;
+  selected: string;
+  deselected: string;
+  rangeStart: string;
+  rangeEnd: string;
+  time: string;
+  startTime: string;
+  endTime: string;
+  hour: string;
+  minute: string;
+  night: string;
+  nights: string;
+  minRangeDays: string;
+  maxRangeDays: string;
+  disabledInRange: string;
+  disableStart: string;
+  disableEnd: string;
+  required: string;
+  requiredRange: string;
+  invalidDate: string;
+  navigation: string;
+  month: string;
+  year: string;
+  presets: string;
+  today: string;
+  yesterday: string;
+  thisWeekend: string;
+  next7Days: string;
+  last7Days: string;
+  next30Days: string;
+  last30Days: string;
+  thisMonth: string;
+  lastMonth: string;
+  nextMonth: string;
+  [key: string]: string;
+}
+
+// Locale pack for month/day names, week start and default formats
+export interface InfiDateLocale {
+  intl: string;
+  dir: 'ltr' | 'rtl';
+  monthNames: string[];
+  monthNamesShort: string[];
+  dayNames: string[];
+  dayNamesShort: string[];
+  firstDayOfWeek: number;
+  displayFormat: string;
+  // Numeric day, month and year order accepted for typed dates, e.g. 'M/D/YYYY'
+  numericFormat: string;
+  ariaDateFormat: string;
+  rangeSeparator: string;
+  multipleSeparator: string;
+  timeFormat: string;
+  meridiem: [string, string];
+  labels: InfiDateLocaleLabels;
+}
+
+export type InfiDateLocalePack = Partial<Omit<InfiDateLocale, 'labels'>> & {
+  labels?: Partial<InfiDateLocaleLabels>;
+};
+
+// Cancelable hook: return false, or a Promise resolving to false, to cancel the action
+export type InfiDateBeforeHook<A extends unknown[] = []> = (...args: A) => boolean | void | Promise<boolean | void>;
+
+// What onBeforeSelect is asked about: a single or multiple pick, a range end, or a preset range
+export type InfiDateSelectStep = 'date' | 'start' | 'end' | 'preset';
+
 // Configuration interface
 export interface InfiDateConfig {
-  mode?: 'single' | 'range';
+  mode?: InfiDateMode;
   displayMode?: 'inline' | 'dropdown' | 'modal';
   attachTo?: string | HTMLElement | null;
   minDate?: string | Date | null;
   maxDate?: string | Date | null;
   minYear?: number | null;
   maxYear?: number | null;
+  showNavigation?: boolean;
+  allowInput?: boolean;
+  name?: string | null;
+  startName?: string | null;
+  endName?: string | null;
+  required?: boolean;
+  // Whether a readonly input disables the picker; null (default) means only with allowInput
+  disableWhenReadonly?: boolean | null;
   theme?: 'light' | 'dark' | 'auto';
   disable?: Array<string | Date | DateRange | ((date: Date) => boolean)>;
   enable?: Array<string | Date | DateRange | ((date: Date) => boolean)> | null;
+  disableStart?: Array<string | Date | DateRange | ((date: Date) => boolean)>;
+  disableEnd?: Array<string | Date | DateRange | ((date: Date) => boolean)>;
   position?: 'top' | 'bottom' | 'auto';
   closeOnSelect?: boolean;
   showBackdrop?: boolean;
+  enableTime?: boolean;
+  time24hr?: boolean | null;
+  timeStep?: number;
+  defaultTime?: string;
+  defaultEndTime?: string | null;
+  minTime?: string | ((date: Date) => string | null) | null;
+  maxTime?: string | ((date: Date) => string | null) | null;
   title?: string | null;
   subtitle?: string | null;
-  minRangeDays?: number;
-  maxRangeDays?: number;
-  allowModeSwitch?: boolean;
+  // Every form counts days; rules use minDays/maxDays
+  minRangeDays?: number | ((startDate: Date) => number) | InfiDateRangeLimitRule[];
+  maxRangeDays?: number | ((startDate: Date) => number) | InfiDateRangeLimitRule[];
+  // Every form counts nights (n nights = n + 1 days); rules use minNights/maxNights
+  minNights?: number | ((startDate: Date) => number) | InfiDateRangeLimitRule[] | null;
+  maxNights?: number | ((startDate: Date) => number) | InfiDateRangeLimitRule[] | null;
+  invalidRangeBehavior?: InfiDateInvalidRangeBehavior;
+  allowDisabledInRange?: boolean;
+  allowDisabledCheckout?: boolean;
+  maxSelections?: number | null;
+  multipleSeparator?: string | null;
+  // true offers 'single' and 'range'; an array lists the modes to offer, e.g. ['single', 'range', 'multiple']
+  allowModeSwitch?: boolean | InfiDateMode[];
   defaultToToday?: boolean;
   maxMonths?: number;
   initialMonths?: number;
+  initialDate?: string | Date | null;
   scrollThreshold?: number;
+  virtualize?: boolean;
+  monthBuffer?: number;
+  locale?: string | InfiDateLocalePack;
+  displayFormat?: string | null;
+  rangeSeparator?: string | null;
+  presets?: Array<InfiDatePresetKey | InfiDatePreset> | null;
+  presetsPosition?: 'top' | 'side';
+  dayData?: InfiDateDayDataProvider | null;
   onChange?: ((data: InfiDateSelection) => void) | Array<(data: InfiDateSelection) => void> | null;
   onOpen?: (() => void) | Array<() => void> | null;
   onClose?: (() => void) | Array<() => void> | null;
   onMonthChange?: ((year: number, month: number) => void) | Array<(year: number, month: number) => void> | null;
   onYearChange?: ((year: number) => void) | Array<(year: number) => void> | null;
   onDayCreate?: ((selectedDates: Date[], dateStr: string, instance: InfiDatePickerInstance, dayElement: HTMLElement) => void) | Array<(selectedDates: Date[], dateStr: string, instance: InfiDatePickerInstance, dayElement: HTMLElement) => void> | null;
+  onInvalid?: ((reason: InfiDateInvalidReason, details: InfiDateInvalidDetails) => void) | Array<(reason: InfiDateInvalidReason, details: InfiDateInvalidDetails) => void> | null;
+  // Presets pass their start as date and their end as presetEnd
+  onBeforeSelect?: InfiDateBeforeHook<[date: Date, which: InfiDateSelectStep, presetEnd?: Date]> | Array<InfiDateBeforeHook<[date: Date, which: InfiDateSelectStep, presetEnd?: Date]>> | null;
+  onBeforeOpen?: InfiDateBeforeHook | Array<InfiDateBeforeHook> | null;
+  onBeforeClose?: InfiDateBeforeHook | Array<InfiDateBeforeHook> | null;
+}
+
+// Stay length for range starts between from and to (either may be omitted), in days for
+// minRangeDays/maxRangeDays and in nights for minNights/maxNights
+export interface InfiDateRangeLimitRule {
+  from?: string | Date;
+  to?: string | Date;
+  minDays?: number;
+  maxDays?: number;
+  minNights?: number;
+  maxNights?: number;
+}
+
+// Built-in range presets, labelled by the locale labels of the same name
+export type InfiDatePresetKey =
+  | 'today'
+  | 'yesterday'
+  | 'thisWeekend'
+  | 'next7Days'
+  | 'last7Days'
+  | 'next30Days'
+  | 'last30Days'
+  | 'thisMonth'
+  | 'lastMonth'
+  | 'nextMonth';
+
+// Custom range preset; range receives today at midnight
+export interface InfiDatePreset {
+  label: string;
+  range: (today: Date) => [Date | string, Date | string];
+}
+
+// Per-day data returned by a dayData provider
+export interface InfiDateDayData {
+  price?: number | string;
+  label?: string;
+  disabled?: boolean;
+  className?: string;
+}
+
+// Called once per loaded month; the signal aborts when the picker is destroyed
+export type InfiDateDayDataProvider = (
+  monthStart: Date,
+  monthEnd: Date,
+  options: { signal: AbortSignal }
+) => Promise<Record<string, InfiDateDayData>> | Record<string, InfiDateDayData>;
+
+// What happens when a range end breaks minRangeDays/maxRangeDays or allowDisabledInRange
+export type InfiDateInvalidRangeBehavior = 'reset' | 'keep-start' | 'clamp';
+
+export type InfiDateInvalidReason = 'minRangeDays' | 'maxRangeDays' | 'disabledInRange' | 'disableStart' | 'disableEnd';
+
+// Payload passed to onInvalid
+export interface InfiDateInvalidDetails {
+  start: Date;
+  end: Date | null;
+  days: number | null;
+  limit: number | null;
+  blocked: Date | null;
+  behavior: InfiDateInvalidRangeBehavior;
+}
+
+// Options for programmatic setters
+export interface InfiDateSetOptions {
+  silent?: boolean;
 }
 
+// Options for InfiDate.init
+export interface InfiDateInitOptions {
+  // Shared options; data-infidate-* attributes override them
+  config?: InfiDateConfig;
+  // Create and destroy pickers as [data-infidate] elements are added and removed
+  observe?: boolean;
+}
+
+// Handler arguments for picker.on(), matching the on<Event> callbacks
+export interface InfiDateEventMap {
+  change: [data: InfiDateSelection];
+  open: [];
+  close: [];
+  monthChange: [year: number, month: number];
+  yearChange: [year: number];
+  dayCreate: [selectedDates: Date[], dateStr: string, instance: InfiDatePickerInstance, dayElement: HTMLElement];
+  invalid: [reason: InfiDateInvalidReason, details: InfiDateInvalidDetails];
+}
+
+export type InfiDateEventName = keyof InfiDateEventMap;
+
+// detail of the infidate:* DOM events dispatched on the attached element
+export type InfiDateEventDetail<T = {}> = T & { picker: InfiDatePickerInstance };
+
 // InfiDatePicker instance interface
 export interface InfiDatePickerInstance {
   config: InfiDateConfig;
@@ -78,7 +297,21 @@ export interface InfiDatePickerInstance {
   hide(): void;
   destroy(): void;
   selectDate(date: Date | string): void;
-  switchMode(mode: 'single' | 'range'): void;
+  setDate(date: Date | string, options?: InfiDateSetOptions): boolean;
+  setRange(start: Date | string, end: Date | string, options?: InfiDateSetOptions): boolean;
+  setDates(dates: Array<Date | string>, options?: InfiDateSetOptions): boolean;
+  setTime(time: string, which?: 'start' | 'end', options?: InfiDateSetOptions): boolean;
+  clear(options?: InfiDateSetOptions): void;
+  getValue(): InfiDateSelection;
+  jumpToDate(date: Date | string): boolean;
+  getVisibleMonth(): Date | null;
+  isDisabled(): boolean;
+  on<E extends InfiDateEventName>(event: E, handler: (...args: InfiDateEventMap[E]) => void, options?: { once?: boolean }): this;
+  once<E extends InfiDateEventName>(event: E, handler: (...args: InfiDateEventMap[E]) => void): this;
+  off<E extends InfiDateEventName>(event: E, handler?: (...args: InfiDateEventMap[E]) => void): this;
+  set(options: InfiDateConfig): this;
+  set<K extends keyof InfiDateConfig>(key: K, value: InfiDateConfig[K]): this;
+  switchMode(mode: InfiDateMode): void;
   setTheme(theme: 'light' | 'dark' | 'auto'): void;
 }
 
@@ -86,9 +319,18 @@ export interface InfiDatePickerInstance {
 export interface InfiDateAPI {
   version: string;
   defaults: InfiDateConfig;
+
+  // Localization
+  registerLocale(name: string, pack: InfiDateLocalePack): InfiDateLocale;
+  getLocale(locale?: string | InfiDateLocalePack): InfiDateLocale;
   
   // Main creation method
   create(target?: string | HTMLElement | null, config?: InfiDateConfig): InfiDatePickerInstance;
+  init(root?: string | Element | Document | InfiDateInitOptions, options?: InfiDateInitOptions): InfiDatePickerInstance[];
+  stopObserving(root?: string | Element | Document): void;
+  getInstance(target: string | Element): InfiDatePickerInstance | null;
+  instances(): InfiDatePickerInstance[];
+  destroyAll(root?: string | Element | Document): number;
   
   // Convenience methods
   singleModal(target: string | HTMLElement, onChange?: (data: InfiDateSelectionSingle) => void): InfiDatePickerInstance;
@@ -103,8 +345,8 @@ export interface InfiDateAPI {
   openRangeDateDropdown(target: string | HTMLElement, options?: InfiDateConfig): InfiDatePickerInstance;
   
   // Utility methods
-  parseDate(input: string | Date | number): Date;
-  formatDate(date: Date, format?: string): string;
+  parseDate(input: string | Date | number, format?: string | string[], locale?: string | InfiDateLocalePack, withTime?: boolean): Date | null;
+  formatDate(date: Date, format?: string, locale?: string | InfiDateLocalePack, withTime?: boolean): string;
   isDateDisabled(date: Date, disableRules: Array<string | Date | DateRange | ((date: Date) => boolean)>): boolean;
   isDateEnabled(date: Date, enableRules: Array<string | Date | DateRange | ((date: Date) => boolean)>): boolean;
   addDays(date: Date, days: number): Date;
@@ -120,7 +362,22 @@ export class InfiDatePicker implements InfiDatePickerInstance {
   hide(): void;
   destroy(): void;
   selectDate(date: Date | string): void;
-  switchMode(mode: 'single' | 'range'): void;
+  setDate(date: Date | string, options?: InfiDateSetOptions): boolean;
+  setRange(start: Date | string, end: Date | string, options?: InfiDateSetOptions): boolean;
+  setDates(dates: Array<Date | string>, options?: InfiDateSetOptions): boolean;
+  setTime(time: string, which?: 'start' | 'end', options?: InfiDateSetOptions): boolean;
+  clear(options?: InfiDateSetOptions): void;
+  getValue(): InfiDateSelection;
+  jumpToDate(date: Date | string): boolean;
+  getVisibleMonth(): Date | null;
+  isDisabled(): boolean;
+  on<E extends InfiDateEventName>(event: E, handler: (...args: InfiDateEventMap[E]) => void, options?: { once?: boolean }): this;
+  once<E extends InfiDateEventName>(event: E, handler: (...args: InfiDateEventMap[E]) => void): this;
+  off<E extends InfiDateEventName>(event: E, handler?: (...args: InfiDateEventMap[E]) => void): this;
+  set(options: InfiDateConfig): this;
+  set<K extends keyof InfiDateConfig>(key: K, value: InfiDateConfig[K]): this;
+  switchMode(mode: InfiDateMode): void;
+  setTheme(theme: 'light' | 'dark' | 'auto'): void;
 }
 
 // Utility functions
@@ -130,8 +387,12 @@ export interface InfiDateUtilsAPI {
   DAY_NAMES: string[];
   DAY_NAMES_SHORT: string[];
   iso(date: Date): string;
-  parseDate(input: string | Date | number): Date;
-  formatDate(date: Date, format?: string): string;
+  parseDate(input: string | Date | number, format?: string | string[], locale?: string | InfiDateLocalePack, withTime?: boolean): Date | null;
+  formatDate(date: Date, format?: string, locale?: string | InfiDateLocalePack, withTime?: boolean): string;
+  getLocale(locale?: string | InfiDateLocalePack): InfiDateLocale;
+  parseTime(input: string): { hours: number; minutes: number } | null;
+  startOfDay(date: Date): Date;
+  localeFromIntl(tag: string): InfiDateLocale;
   isDateDisabled(date: Date, disableRules: Array<string | Date | ((date: Date) => boolean)>): boolean;
   addDays(date: Date, days: number): Date;
   daysDiff(date1: Date, date2: Date): number;